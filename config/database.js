@@ -133,10 +133,10 @@ class Database {
   async initializeDefaultData() {
     try {
       console.log("📋 Checking for default data initialization...");
-      let Category, MenuItem, Settings;
+      let Printer, Category, MenuItem, Settings;
       try {
         const schemas = await import("../models/schemas.js");
-        ({ Category, MenuItem, Settings } = schemas);
+        ({ Printer, Category, MenuItem, Settings } = schemas);
         if (!Category || !MenuItem) {
           console.log("⚠️ Schema models not available, skipping default data initialization");
           return;
@@ -146,6 +146,27 @@ class Database {
         return;
       }
 
+      // เครื่องพิมพ์ตั้งต้นจาก env เดิม (EPSON_IP / XPRINTER_IP) ให้หมวดเดิมที่ชี้ "EPSON"/"XPRINTER" ยังพิมพ์ได้
+      if (Printer && (await Printer.countDocuments()) === 0) {
+        await Printer.insertMany([
+          {
+            name: "EPSON",
+            driver: process.env.EPSON_DRIVER || "epson",
+            emulate: "epson",
+            host: process.env.EPSON_IP || "192.168.1.33",
+            port: Number(process.env.EPSON_PORT || 9100),
+          },
+          {
+            name: "XPRINTER",
+            driver: process.env.XPRINTER_DRIVER || "xprinter",
+            emulate: "xprinter",
+            host: process.env.XPRINTER_IP || "192.168.1.23",
+            port: Number(process.env.XPRINTER_PORT || 9100),
+          },
+        ]);
+        console.log("🖨️  Default printers created from EPSON_* / XPRINTER_* env");
+      }
+
       const [categoryCount, itemCount] = await Promise.all([
         Category.countDocuments(),
         MenuItem.countDocuments(),
@@ -159,17 +180,18 @@ class Database {
           { name: "ผัก", printer: "XPRINTER" },
           { name: "เครื่องดื่ม", printer: "XPRINTER" },
         ];
-        await Category.insertMany(defaultCategories);
+        const categories = await Category.insertMany(defaultCategories);
+        const categoryId = Object.fromEntries(categories.map(c => [c.name, c._id]));
 
         const defaultItems = [
-          { name: "เนื้อออสเตรเลีย", category: "เนื้อสัตว์", price: 120 },
-          { name: "หมูสไลซ์", category: "เนื้อสัตว์", price: 80 },
-          { name: "กุ้งสด", category: "อาหารทะเล", price: 150 },
-          { name: "ปลาหมึก", category: "อาหารทะเล", price: 100 },
-          { name: "ผักบุ้งจีน", category: "ผัก", price: 30 },
-          { name: "กะหล่ำปลี", category: "ผัก", price: 25 },
-          { name: "น้ำเปล่า", category: "เครื่องดื่ม", price: 10 },
-          { name: "โค้ก", category: "เครื่องดื่ม", price: 25 },
+          { name: "เนื้อออสเตรเลีย", categoryId: categoryId["เนื้อสัตว์"], price: 120 },
+          { name: "หมูสไลซ์", categoryId: categoryId["เนื้อสัตว์"], price: 80 },
+          { name: "กุ้งสด", categoryId: categoryId["อาหารทะเล"], price: 150 },
+          { name: "ปลาหมึก", categoryId: categoryId["อาหารทะเล"], price: 100 },
+          { name: "ผักบุ้งจีน", categoryId: categoryId["ผัก"], price: 30 },
+          { name: "กะหล่ำปลี", categoryId: categoryId["ผัก"], price: 25 },
+          { name: "น้ำเปล่า", categoryId: categoryId["เครื่องดื่ม"], price: 10 },
+          { name: "โค้ก", categoryId: categoryId["เครื่องดื่ม"], price: 25 },
         ];
         await MenuItem.insertMany(defaultItems);
 
@@ -10,10 +10,35 @@ import multer from 'multer';
 
 // MongoDB imports
 import database from './config/database.js';
-import { Category, MenuItem, Order } from './models/schemas.js';
+import { User, Printer, Category, MenuItem, BuffetTier, TableSession, Order, PrintJob, Bill, Payment } from './models/schemas.js';
 
 // Printer service
-import { printEpson, printXprinterThaiCP874 } from './services/escposPrinter.js';
+import { printTicket, listDrivers, isSupportedEncoding, columnsFor } from './services/escposPrinter.js';
+import printQueue, { toPrintJobJSON } from './services/printQueue.js';
+import { computeBill, buildReceiptLines, orderTotals } from './services/billing.js';
+import { ITEM_STATUSES, deriveOrderStatus, itemStatusUpdate } from './services/orderStatus.js';
+import { parseModifierGroups, resolveModifiers, describeModifiers } from './services/modifiers.js';
+import {
+  applyBuffetTier, tierIncludes, isPastLastOrder, buffetBillLine, checkRoundLimits, cooldownRemaining, formatWait,
+  claimRound, releaseRound
+} from './services/buffet.js';
+import { getSettings, updateSettings, DEFAULT_SETTINGS } from './services/settings.js';
+import { reserveStock, releaseStock, parseStockBody } from './services/stock.js';
+import { POT_TYPES, parseTableSetup, buildSetupTicket } from './services/tableSetup.js';
+import { checkTableMove, applyTableMove, buildMoveTicket } from './services/tableMove.js';
+import { splitBill, billBalance, planPayment, planRefund, tableState, isSettled, checkSessionClose } from './services/payments.js';
+import { nextOrderNumber, nextBillNumber, orderLabel } from './services/orderNumber.js';
+import { findDuplicateOrder, ensureKitchenTickets } from './services/orderSubmit.js';
+import { planAmendment, amendmentRecords, amendmentTicketItems } from './services/orderAmend.js';
+import {
+  MAX_FILE_SIZE, imageFileFilter, uploadErrorMessage, processImage, imageVariants, removeImage, replaceImage, collectOrphanImages
+} from './services/images.js';
+import { signTableToken, resolveTableToken, socketTableAuth, tableRoom } from './services/tableToken.js';
+import { parseTableList, sheetEntries, buildQrSheet, QR_SIZES } from './services/qrSheet.js';
+import {
+  ROLES, requireRole, hashPassword, verifyPassword, signAuthToken, toUserJSON,
+  setAuthCookie, clearAuthCookie, socketAuth, ensureOwnerAccount, checkSecrets, roleRoom
+} from './services/auth.js';
 
 dotenv.config();
 
@@ -23,16 +48,20 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const server = http.createServer(app);
 const io = new SocketIOServer(server, { cors: { origin: '*' } });
+io.use(socketAuth);
+io.use(socketTableAuth);
+
+// event ของโต๊ะไปที่ staff + ลูกค้าที่โต๊ะนั้นเท่านั้น (ไม่ broadcast ทั้งร้าน)
+const toStaffAndTable = (table) => io.to(['staff', tableRoom(table)]);
+// บิล/ชำระเงิน/สถานะโต๊ะ: แคชเชียร์กับเจ้าของเท่านั้น
+const toCashiers = () => io.to([roleRoom('cashier'), roleRoom('owner')]);
 
 const PORT = process.env.PORT || 4000;
-const EPSON_IP = process.env.EPSON_IP || '192.168.1.33';
-const EPSON_PORT = Number(process.env.EPSON_PORT || 9100);
-const XPRINTER_IP = process.env.XPRINTER_IP || '192.168.1.23';
-const XPRINTER_PORT = Number(process.env.XPRINTER_PORT || 9100);
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
+// ชื่อไฟล์รูปไม่ซ้ำ (เปลี่ยนรูป = ไฟล์ใหม่) จึง cache ได้นาน
+app.use('/uploads', express.static(path.join(__dirname, 'public/uploads'), { maxAge: '30d', immutable: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Storage for uploads
@@ -40,15 +69,18 @@ const uploadsDir = path.join(__dirname, 'public/uploads');
 import fs from 'fs';
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
-  filename: (req, file, cb) => {
-    const ext = (file.originalname || '').split('.').pop();
-    const safe = Date.now() + '-' + Math.random().toString(36).slice(2,8) + (ext?'.'+ext.toLowerCase():'');
-    cb(null, safe);
-  }
+// เก็บไว้ใน memory ก่อน ผ่านการตรวจแล้วค่อยย่อ/บันทึกด้วย processImage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: imageFileFilter
+});
+
+// upload.single('image') ที่ตอบ 400 ภาษาไทยแทน error page ของ express
+const uploadImage = (req, res, next) => upload.single('image')(req, res, (error) => {
+  if (error) return res.status(400).json({ error: uploadErrorMessage(error) });
+  next();
 });
-const upload = multer({ storage });
 
 // --- DATABASE HEALTH CHECK ---
 app.get('/api/health', async (req, res) => {
@@ -68,21 +100,166 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// --- AUTH (staff accounts) ---
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const user = username ? await User.findOne({ username, active: true }) : null;
+    if (!user || !(await verifyPassword(req.body.password || '', user.passwordHash))) {
+      return res.status(401).json({ error: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' });
+    }
+    const token = signAuthToken(user);
+    setAuthCookie(res, token);
+    res.json({ ok: true, user: toUserJSON(user), token });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  clearAuthCookie(res);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireRole(), (req, res) => {
+  res.json({ ok: true, user: toUserJSON(req.user) });
+});
+
+// Users (owner only)
+async function listUsers() {
+  const users = await User.find().sort({ role: 1, username: 1 });
+  return users.map(toUserJSON);
+}
+
+app.get('/api/users', requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ users: await listUsers(), roles: ROLES });
+  } catch (error) {
+    console.error('Users fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', requireRole('owner'), async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const { password, role = 'kitchen', displayName = '' } = req.body;
+    if (!username) return res.status(400).json({ error: 'ต้องใส่ชื่อผู้ใช้' });
+    if (!password || String(password).length < 6) return res.status(400).json({ error: 'รหัสผ่านต้องมีอย่างน้อย 6 ตัวอักษร' });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'role ไม่ถูกต้อง' });
+    if (await User.exists({ username })) return res.status(400).json({ error: 'มีชื่อผู้ใช้นี้อยู่แล้ว' });
+
+    await User.create({ username, passwordHash: await hashPassword(password), role, displayName });
+    res.json({ ok: true, users: await listUsers() });
+  } catch (error) {
+    console.error('User create error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const user = isObjectId(req.params.id) && await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'ไม่พบผู้ใช้' });
+
+    const { password, role, active, displayName } = req.body;
+    if (password !== undefined) {
+      if (String(password).length < 6) return res.status(400).json({ error: 'รหัสผ่านต้องมีอย่างน้อย 6 ตัวอักษร' });
+      user.passwordHash = await hashPassword(password);
+    }
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) return res.status(400).json({ error: 'role ไม่ถูกต้อง' });
+      user.role = role;
+    }
+    if (active !== undefined) user.active = active === true || active === 'true';
+    if (displayName !== undefined) user.displayName = String(displayName);
+
+    // ต้องเหลือ owner ที่ใช้งานได้อย่างน้อย 1 คน
+    if (!(user.role === 'owner' && user.active) && !(await User.exists({ _id: { $ne: user._id }, role: 'owner', active: true }))) {
+      return res.status(400).json({ error: 'ต้องมีเจ้าของร้าน (owner) อย่างน้อย 1 คน' });
+    }
+
+    await user.save();
+    res.json({ ok: true, users: await listUsers() });
+  } catch (error) {
+    console.error('User update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('owner'), async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(404).json({ error: 'ไม่พบผู้ใช้' });
+    if (String(req.user._id) === req.params.id) return res.status(400).json({ error: 'ลบบัญชีตัวเองไม่ได้' });
+    await User.deleteOne({ _id: req.params.id });
+    res.json({ ok: true, users: await listUsers() });
+  } catch (error) {
+    console.error('User delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // --- MENU API ---
+// หมวด/เมนูอ้างกันด้วย _id (ชื่อแก้ได้อิสระ) ชื่อหมวดใน JSON มาจาก populate('categoryId')
+const isObjectId = (v) => /^[a-f\d]{24}$/i.test(String(v ?? ''));
+
+const toCategoryJSON = (c) => ({ id: String(c._id), name: c.name, printer: c.printer });
+
+const toMenuItemJSON = (i) => ({
+  id: String(i._id),
+  name: i.name,
+  categoryId: i.categoryId ? String(i.categoryId._id ?? i.categoryId) : null,
+  category: i.categoryId?.name || '',
+  image: i.image,
+  images: imageVariants(i.image),
+  price: i.price,
+  description: i.description,
+  modifiers: i.modifiers,
+  active: i.active !== false,
+  available: i.available !== false,
+  stock: i.stock ?? null
+});
+
+async function listCategories() {
+  const categories = await Category.find({ active: true }).sort({ name: 1 });
+  return categories.map(toCategoryJSON);
+}
+
+// เรียงตามชื่อหมวดแล้วชื่อเมนู
+async function findMenuItems(filter = {}) {
+  const items = await MenuItem.find(filter).populate('categoryId', 'name');
+  return items.sort((a, b) =>
+    (a.categoryId?.name || '').localeCompare(b.categoryId?.name || '', 'th') || a.name.localeCompare(b.name, 'th'));
+}
+
+// หน้าลูกค้าโหลดเมนูใหม่ (หมด/เหลือกี่ที่ เปลี่ยนทันที)
+const emitMenuUpdated = () => io.emit('menu-updated');
+
+// ?token= ของโต๊ะบุฟเฟ่ต์ => เฉพาะเมนูในแพ็กเกจ ราคา 0
 app.get('/api/menu', async (req, res) => {
   try {
-    const categories = await Category.find({ active: true }).sort({ name: 1 });
-    const items = await MenuItem.find({ active: true }).sort({ category: 1, name: 1 });
-    
+    let categories = await Category.find({ active: true }).sort({ name: 1 });
+    let items = await findMenuItems({ active: true });
+
+    const { session } = req.query.token ? await resolveTableToken(req.query.token) : {};
+    const tier = session?.buffetTier ? await BuffetTier.findOne({ name: session.buffetTier }) : null;
+    if (tier) {
+      items = items.filter(i => tierIncludes(tier, i));
+      categories = categories.filter(c => items.some(i => c._id.equals(i.categoryId?._id)));
+    }
+
     res.json({
-      categories: categories.map(c => ({ name: c.name, printer: c.printer })),
-      items: items.map(i => ({
-        name: i.name,
-        category: i.category,
-        image: i.image,
-        price: i.price,
-        description: i.description
-      }))
+      categories: categories.map(toCategoryJSON),
+      items: items.map(i => ({ ...toMenuItemJSON(i), price: tier ? 0 : i.price })),
+      buffet: tier ? {
+        name: tier.name,
+        endsAt: session.buffetEndsAt,
+        lastOrderAt: session.lastOrderAt,
+        maxQtyPerItem: tier.maxQtyPerItem,
+        maxItems: tier.maxItemsPerHead * session.partySize,
+        nextRoundIn: cooldownRemaining(tier, session)
+      } : null
     });
   } catch (error) {
     console.error('Menu fetch error:', error);
@@ -91,70 +268,67 @@ app.get('/api/menu', async (req, res) => {
 });
 
 // Categories CRUD
-app.post('/api/categories', async (req, res) => {
+app.post('/api/categories', requireRole('owner'), async (req, res) => {
   try {
-    const { name, printer = 'EPSON' } = req.body;
+    const { name, printer = '' } = req.body;
     if (!name || !name.trim()) return res.status(400).json({ error: 'ต้องใส่ชื่อหมวด' });
-    
+
     const existingCategory = await Category.findOne({ name: name.trim() });
     if (existingCategory) return res.status(400).json({ error: 'มีชื่อหมวดนี้อยู่แล้ว' });
-    
+    if (printer && !(await Printer.exists({ name: printer }))) return res.status(400).json({ error: 'ไม่พบเครื่องพิมพ์' });
+
     const category = new Category({
       name: name.trim(),
-      printer: (printer === 'XPRINTER' ? 'XPRINTER' : 'EPSON')
+      printer
     });
-    
+
     await category.save();
-    
-    const categories = await Category.find({ active: true }).sort({ name: 1 });
-    res.json({
-      ok: true,
-      categories: categories.map(c => ({ name: c.name, printer: c.printer }))
-    });
+    emitMenuUpdated();
+    res.json({ ok: true, categories: await listCategories() });
   } catch (error) {
     console.error('Category create error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.patch('/api/categories', async (req, res) => {
+// เปลี่ยนชื่อได้โดยเมนูในหมวดไม่หลุด (เมนูอ้าง categoryId)
+app.patch('/api/categories/:id', requireRole('owner'), async (req, res) => {
   try {
-    const { oldName, name, printer } = req.body;
-    if (!oldName) return res.status(400).json({ error: 'ต้องระบุ oldName' });
-    
-    const category = await Category.findOne({ name: oldName });
+    const { name, printer } = req.body;
+    const category = isObjectId(req.params.id) && await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ error: 'ไม่พบหมวด' });
-    
-    if (name) category.name = name.trim();
-    if (printer) category.printer = (printer === 'XPRINTER' ? 'XPRINTER' : 'EPSON');
-    
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: 'ต้องใส่ชื่อหมวด' });
+      if (await Category.exists({ name: String(name).trim(), _id: { $ne: category._id } })) {
+        return res.status(400).json({ error: 'มีชื่อหมวดนี้อยู่แล้ว' });
+      }
+      category.name = String(name).trim();
+    }
+    if (printer !== undefined) {
+      if (printer && !(await Printer.exists({ name: printer }))) return res.status(400).json({ error: 'ไม่พบเครื่องพิมพ์' });
+      category.printer = printer;
+    }
+
     await category.save();
-    
-    const categories = await Category.find({ active: true }).sort({ name: 1 });
-    res.json({
-      ok: true,
-      categories: categories.map(c => ({ name: c.name, printer: c.printer }))
-    });
+    emitMenuUpdated();
+    res.json({ ok: true, categories: await listCategories() });
   } catch (error) {
     console.error('Category update error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/categories', async (req, res) => {
+app.delete('/api/categories/:id', requireRole('owner'), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) return res.status(400).json({ error: 'ต้องระบุชื่อหมวดที่จะลบ' });
-    
-    await Category.deleteOne({ name });
-    // Update items to remove this category
-    await MenuItem.updateMany({ category: name }, { $set: { category: '' } });
-    
-    const categories = await Category.find({ active: true }).sort({ name: 1 });
-    res.json({
-      ok: true,
-      categories: categories.map(c => ({ name: c.name, printer: c.printer }))
-    });
+    const category = isObjectId(req.params.id) && await Category.findByIdAndDelete(req.params.id);
+    if (!category) return res.status(404).json({ error: 'ไม่พบหมวด' });
+
+    // เมนูในหมวดนี้กลายเป็นไม่มีหมวด (พิมพ์ไปเครื่องหลัก)
+    await MenuItem.updateMany({ categoryId: category._id }, { $set: { categoryId: null } });
+    await BuffetTier.updateMany({ categories: category._id }, { $pull: { categories: category._id } });
+    emitMenuUpdated();
+    res.json({ ok: true, categories: await listCategories() });
   } catch (error) {
     console.error('Category delete error:', error);
     res.status(500).json({ error: error.message });
@@ -164,74 +338,166 @@ app.delete('/api/categories', async (req, res) => {
 // Items CRUD
 app.get('/api/items', async (req, res) => {
   try {
-    const items = await MenuItem.find({ active: true }).sort({ category: 1, name: 1 });
-    res.json(items.map(i => ({
-      name: i.name,
-      category: i.category,
-      image: i.image,
-      price: i.price,
-      description: i.description
-    })));
+    const items = await findMenuItems({ active: true });
+    res.json(items.map(toMenuItemJSON));
   } catch (error) {
     console.error('Items fetch error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/items', upload.single('image'), async (req, res) => {
+// หลังบ้าน: รวมเมนูที่ซ่อน (active = false) เพื่อแก้/เปิดกลับ
+app.get('/api/items/all', requireRole('owner'), async (req, res) => {
   try {
-    const { name, category, price, description } = req.body;
-    if (!name || !name.trim()) return res.status(400).json({ error: 'ต้องใส่ชื่อเมนู' });
-    
-    const existingItem = await MenuItem.findOne({ name: name.trim() });
+    const items = await findMenuItems();
+    res.json(items.map(toMenuItemJSON));
+  } catch (error) {
+    console.error('Items fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ลบไฟล์รูปทุกขนาด (รูปเดิมตอนเปลี่ยนรูป/ลบเมนู หรือรูปที่เพิ่งย่อแต่บันทึกเมนูไม่ผ่าน)
+function removeUpload(image) {
+  removeImage(uploadsDir, image).catch(error => {
+    console.warn('⚠️ Could not remove upload:', image, error.message);
+  });
+}
+
+// รูปที่ไม่มีเมนูไหนอ้างถึง (ไฟล์ค้างจาก request ที่ล้มกลางทาง, รูปเก่าจากก่อนมี pipeline) ลบตอนเริ่มและทุกวัน
+const IMAGE_GC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+async function cleanupOrphanImages() {
+  try {
+    const removed = await collectOrphanImages(uploadsDir, await MenuItem.distinct('image'));
+    if (removed.length) console.log(`🧹 Removed ${removed.length} unused upload(s)`);
+  } catch (error) {
+    console.warn('⚠️ Upload cleanup failed:', error.message);
+  }
+}
+
+// ย่อ/บันทึกรูปที่อัปโหลด; คืน { image } หรือ { error } ถ้าไฟล์ไม่ใช่รูป
+async function saveUploadedImage(file) {
+  if (!file) return { image: '' };
+  try {
+    return { image: await processImage(file.buffer, uploadsDir) };
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') return { error: error.message };
+    throw error;
+  }
+}
+
+// ตรวจ/แปลงค่าจาก body (multipart จึงเป็น string ทั้งหมด); คืน { error } ถ้าไม่ผ่าน
+async function parseItemBody(body, { partial = false } = {}) {
+  const out = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'ต้องใส่ชื่อเมนู' };
+    out.name = String(body.name).trim();
+  }
+  if (body.categoryId !== undefined) {
+    out.categoryId = body.categoryId || null;
+    if (out.categoryId && !(isObjectId(out.categoryId) && await Category.exists({ _id: out.categoryId }))) {
+      return { error: 'ไม่พบหมวดหมู่' };
+    }
+  }
+  if (body.price !== undefined) {
+    const price = body.price === '' ? 0 : Number(body.price);
+    if (!Number.isFinite(price) || price < 0) return { error: 'ราคาต้องเป็นตัวเลขตั้งแต่ 0 ขึ้นไป' };
+    out.price = price;
+  }
+  if (body.description !== undefined) out.description = String(body.description);
+  if (body.active !== undefined) out.active = body.active === true || body.active === 'true';
+  if (body.modifiers !== undefined) {
+    const { groups, error } = parseModifierGroups(body.modifiers);
+    if (error) return { error };
+    out.modifiers = groups;
+  }
+  return { data: out };
+}
+
+// พนักงานทุกคนกด "หมด" / เติมสต็อกได้ ส่วนอื่นเฉพาะเจ้าของร้าน
+const STAFF_ITEM_FIELDS = ['available', 'stock'];
+
+app.post('/api/items', requireRole('owner'), uploadImage, async (req, res) => {
+  let image = '';
+  try {
+    const { data, error } = await parseItemBody(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const existingItem = await MenuItem.findOne({ name: data.name });
     if (existingItem) return res.status(400).json({ error: 'มีเมนูนี้อยู่แล้ว' });
-    
-    const image = req.file ? '/uploads/' + req.file.filename : '';
-    
-    const item = new MenuItem({
-      name: name.trim(),
-      category: category || '',
-      image,
-      price: parseFloat(price) || 0,
-      description: description || ''
-    });
-    
+
+    const saved = await saveUploadedImage(req.file);
+    if (saved.error) return res.status(400).json({ error: saved.error });
+    image = saved.image;
+
+    const item = new MenuItem({ ...data, image });
+
     await item.save();
-    
-    const items = await MenuItem.find({ active: true }).sort({ category: 1, name: 1 });
+    emitMenuUpdated();
+
+    const items = await findMenuItems({ active: true });
     res.json({
       ok: true,
-      items: items.map(i => ({
-        name: i.name,
-        category: i.category,
-        image: i.image,
-        price: i.price,
-        description: i.description
-      }))
+      items: items.map(toMenuItemJSON)
     });
   } catch (error) {
     console.error('Item create error:', error);
+    removeUpload(image);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/items', async (req, res) => {
+// Edit an item in place (ชื่อ หมวด ราคา คำอธิบาย เปิด/ซ่อน รูปใหม่ ตัวเลือก หมด/สต็อก)
+app.patch('/api/items/:id', requireRole(), uploadImage, async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) return res.status(400).json({ error: 'ต้องระบุชื่อเมนูที่จะลบ' });
-    
-    await MenuItem.deleteOne({ name });
-    
-    const items = await MenuItem.find({ active: true }).sort({ category: 1, name: 1 });
+    if (req.user.role !== 'owner' && (req.file || Object.keys(req.body).some(k => !STAFF_ITEM_FIELDS.includes(k)))) {
+      return res.status(403).json({ error: 'ไม่มีสิทธิ์แก้ไขเมนู' });
+    }
+    const item = isObjectId(req.params.id) && await MenuItem.findById(req.params.id);
+    if (!item) return res.status(404).json({ error: 'ไม่พบเมนู' });
+
+    const { data, error } = await parseItemBody(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const { data: stock, error: stockError } = parseStockBody(req.body);
+    if (stockError) return res.status(400).json({ error: stockError });
+    if (data.name && data.name !== item.name && await MenuItem.exists({ name: data.name })) {
+      return res.status(400).json({ error: 'มีเมนูนี้อยู่แล้ว' });
+    }
+
+    item.set({ ...data, ...stock });
+    if (req.file) {
+      try {
+        await replaceImage(uploadsDir, item, req.file.buffer, () => item.save());
+      } catch (error) {
+        if (error.code === 'INVALID_IMAGE') return res.status(400).json({ error: error.message });
+        throw error;
+      }
+    } else {
+      await item.save();
+    }
+
+    emitMenuUpdated();
+    await item.populate('categoryId', 'name');
+    res.json({ ok: true, item: toMenuItemJSON(item) });
+  } catch (error) {
+    console.error('Item update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/items/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const item = isObjectId(req.params.id) && await MenuItem.findByIdAndDelete(req.params.id);
+    if (!item) return res.status(404).json({ error: 'ไม่พบเมนู' });
+
+    removeUpload(item.image);
+    await BuffetTier.updateMany({ items: item._id }, { $pull: { items: item._id } });
+    emitMenuUpdated();
+
+    const items = await findMenuItems({ active: true });
     res.json({
       ok: true,
-      items: items.map(i => ({
-        name: i.name,
-        category: i.category,
-        image: i.image,
-        price: i.price,
-        description: i.description
-      }))
+      items: items.map(toMenuItemJSON)
     });
   } catch (error) {
     console.error('Item delete error:', error);
@@ -239,89 +505,235 @@ app.delete('/api/items', async (req, res) => {
   }
 });
 
+// Station routing: item -> printer name via category.printer (unknown/disabled -> first enabled printer)
+async function loadStationRouter() {
+  const [categories, printers] = await Promise.all([
+    Category.find({ active: true }),
+    Printer.find({ enabled: true }).sort({ createdAt: 1 })
+  ]);
+  const fallback = printers[0]?.name;
+  // บรรทัดออเดอร์เก่า (ก่อนมี categoryId) ใช้ชื่อหมวดที่ snapshot ไว้
+  const stationOf = (item) => {
+    const cat = categories.find(c => item.categoryId ? c._id.equals(item.categoryId) : c.name === item.category);
+    return printers.some(p => p.name === cat?.printer) ? cat.printer : fallback;
+  };
+  return { stations: printers.map(p => p.name), stationOf };
+}
+
+const TICKET_SUFFIX = { REPRINT: ' (พิมพ์ซ้ำ)', AMEND: ' (แก้ไข)', VOID: ' (ยกเลิก)' };
+
+// Kitchen tickets: group order lines by category.printer, one PrintJob per printer
+// items = เฉพาะบรรทัดที่แก้ (ใบแก้ไข/ยกเลิก พร้อม ticketQty) ไม่ส่ง = ทุกรายการที่ยังไม่ยกเลิก
+// skip = เครื่องที่มีใบของออเดอร์นี้อยู่แล้ว (ส่งใหม่หลังส่งไม่ครบ)
+async function queueKitchenTickets(order, { kind = 'KITCHEN', printer: only, items, reason = '', skip = [] } = {}) {
+  const { stationOf } = await loadStationRouter();
+  const byPrinter = {};
+
+  for (const item of items ?? order.items.filter(i => i.status !== 'CANCELLED')) {
+    const target = stationOf(item);
+    if (!target) continue;
+    (byPrinter[target] ||= []).push(item);
+  }
+
+  // ตัวเลือก/หมายเหตุพิมพ์ใต้รายการ
+  const makeLines = (subset) => [
+    `โต๊ะ ${order.table || '-'}`,
+    ...subset.flatMap(x => [
+      `${x.ticketQty ?? `x${x.qty || 1}`}  ${x.name}`,
+      ...(x.modifiers?.length ? [`    - ${describeModifiers(x.modifiers)}`] : []),
+      ...(x.note ? [`    * ${x.note}`] : [])
+    ]),
+    ...(reason ? [`เหตุผล: ${reason}`] : []),
+    ...(order.note && !items ? [`หมายเหตุ: ${order.note}`] : [])
+  ];
+
+  const jobs = [];
+  for (const [printer, subset] of Object.entries(byPrinter)) {
+    if (!subset.length || (only && only !== printer) || skip.includes(printer)) continue;
+    jobs.push(await printQueue.enqueue({
+      orderId: order.orderId,
+      printer,
+      kind,
+      title: `ORDER #${orderLabel(order)}${TICKET_SUFFIX[kind] || ''}`,
+      lines: makeLines(subset)
+    }));
+  }
+  return jobs;
+}
+
+// Printer name -> connection used by the print queue worker
+async function resolvePrinter(name) {
+  const printer = await Printer.findOne({ name, enabled: true });
+  return printer ? printerTarget(printer) : null;
+}
+
+function printerTarget(p) {
+  return { driver: p.driver, emulate: p.emulate, host: p.host, port: p.port, encoding: p.encoding, label: p.name };
+}
+
 // Orders + print routing by category.printer
-const orderHandler = async (req, res) => {
-  try {
-    const { table, items, note } = req.body;
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'ต้องมีรายการอาหารอย่างน้อย 1 รายการ' });
+/**
+ * สร้างออเดอร์ให้ session ที่เปิดอยู่ (ลูกค้าจาก QR หรือพนักงานสั่งแทน)
+ * @param {object} body { items: [{ itemId, qty, modifiers, note }], note }
+ * @param {{ by: string, staff?: boolean, idempotencyKey?: string }} options
+ * @returns {Promise<{ order, duplicate? } | { status, error, ... }>}
+ */
+async function placeOrder(session, body, { by, staff = false, idempotencyKey = '' }) {
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    return { status: 400, error: 'ต้องมีรายการอาหารอย่างน้อย 1 รายการ' };
+  }
+  const items = body.items.map(i => ({ ...i, qty: i.qty === undefined ? 1 : Number(i.qty) }));
+  if (items.some(i => !Number.isInteger(i.qty) || i.qty < 1)) {
+    return { status: 400, error: 'จำนวนต้องเป็นจำนวนเต็มตั้งแต่ 1 ขึ้นไป' };
+  }
+
+  // ส่งซ้ำด้วย key เดิม (เน็ตหลุดแล้วกดใหม่ / คิวออฟไลน์ของหน้าลูกค้า) => ตอบออเดอร์เดิม ไม่สร้าง/พิมพ์ซ้ำ
+  // (ยกเว้นใบครัวของออเดอร์เดิมยังส่งไม่สำเร็จ จะส่งให้ตอนนี้)
+  const findDuplicate = () => findDuplicateOrder(session._id, idempotencyKey, queueKitchenTickets);
+  const duplicate = await findDuplicate();
+  if (duplicate) return { order: duplicate, duplicate: true };
+  if (session.billId) return { status: 409, error: 'โต๊ะนี้เช็คบิลแล้ว สั่งเพิ่มไม่ได้ กรุณาติดต่อพนักงาน' };
+
+  // ใบจัดโต๊ะ (น้ำซุป) ต้องออกเป็นใบแรกของโต๊ะ
+  if (!session.setup) return { status: 409, error: 'กรุณาเลือกน้ำซุปก่อนสั่งอาหาร', needsSetup: true };
+
+  // ทุกบรรทัดต้องเป็นเมนูที่ยังขายอยู่ อ้างด้วย itemId (client เก่าที่ส่งแค่ชื่อยังใช้ได้)
+  // ชื่อ/หมวด/ราคาใช้ของเมนูจริง (ไม่เชื่อ client)
+  const menu = await MenuItem.find({
+    $or: [
+      { _id: { $in: items.map(i => i.itemId).filter(isObjectId) } },
+      { name: { $in: items.filter(i => !i.itemId).map(i => String(i.name)) } }
+    ],
+    active: true
+  }).populate('categoryId', 'name active');
+  const menuOf = (i) => menu.find(m => i.itemId ? String(m._id) === String(i.itemId) : m.name === String(i.name));
+  const unavailable = items.filter(i => {
+    const m = menuOf(i);
+    return !m || m.categoryId?.active === false;
+  });
+  if (unavailable.length) {
+    return { status: 400, error: `ไม่พบเมนูหรือเมนูงดขาย: ${[...new Set(unavailable.map(i => String(i.name || i.itemId)))].join(', ')}` };
+  }
+  const soldOut = [...new Set(items.map(menuOf).filter(m => m.available === false))];
+  if (soldOut.length) {
+    return { status: 409, error: `ขออภัย เมนูนี้หมดแล้ว: ${soldOut.map(m => m.name).join(', ')}`, soldOut: soldOut.map(m => String(m._id)) };
+  }
+
+  // ตัวเลือกเมนู (น้ำซุป ระดับเผ็ด ...) ตรวจกับเมนูจริง ราคาเพิ่มใช้ของเมนู
+  for (const item of items) {
+    const m = menuOf(item);
+    const { modifiers, error: modifierError } = resolveModifiers(m, item.modifiers || []);
+    if (modifierError) return { status: 400, error: modifierError };
+    Object.assign(item, {
+      itemId: m._id,
+      name: m.name,
+      categoryId: m.categoryId?._id ?? null,
+      category: m.categoryId?.name || '',
+      price: m.price,
+      modifiers
+    });
+  }
+
+  // บุฟเฟ่ต์: ปิดรับหลัง last order และสั่งได้เฉพาะเมนูในแพ็กเกจ (หมวดดูจากเมนูจริง ไม่เชื่อ client)
+  // พนักงานสั่งแทนได้หลัง last order และไม่ติดจำนวนต่อรอบ/cooldown
+  let tier = null;
+  if (session.buffetTier) {
+    if (!staff && isPastLastOrder(session)) return { status: 403, error: 'หมดเวลาสั่งอาหารแล้ว (Last order) กรุณาติดต่อพนักงาน' };
+    tier = await BuffetTier.findOne({ name: session.buffetTier });
+    const outside = items.filter(i => !tier || !tierIncludes(tier, i));
+    if (outside.length) {
+      return { status: 400, error: `เมนูนี้ไม่อยู่ในแพ็กเกจบุฟเฟ่ต์: ${outside.map(i => i.name).join(', ')}` };
     }
-    
-    const orderId = Date.now().toString().slice(-6);
-    
+
+    // กันสั่งทิ้ง: จำนวนต่อรอบ แล้วค่อยจองรอบ (cooldown) หลังตัดสต็อก
+    const limitError = !staff && checkRoundLimits(tier, session, items);
+    if (limitError) return { status: 400, error: limitError };
+  }
+
+  // ตัดสต็อกก่อนสร้างออเดอร์ ถ้าไปไม่ถึง (ติดรอบบุฟเฟ่ต์ / บันทึกไม่สำเร็จ) คืนสต็อก
+  const { reserved, error: stockError } = await reserveStock(items);
+  if (stockError) return { status: 409, error: stockError };
+
+  // จองรอบแบบ atomic กันกดส่งซ้อนจากหลายเครื่อง
+  let roundAt = null;
+  if (tier?.roundCooldownMin && !staff) {
+    const wait = cooldownRemaining(tier, session);
+    roundAt = !wait && await claimRound(session);
+    if (!roundAt) {
+      await releaseStock(reserved);
+      // คำขอซ้อนที่ key เดียวกันเพิ่งจองรอบไป
+      const duplicate = await findDuplicate();
+      if (duplicate) return { order: duplicate, duplicate: true };
+      const retryAfter = wait || tier.roundCooldownMin * 60;
+      return { status: 429, error: `สั่งรอบถัดไปได้ในอีก ${formatWait(retryAfter)}`, retryAfter };
+    }
+  }
+
+  // สร้างออเดอร์ไม่สำเร็จ (เลขออเดอร์ / บันทึก): คืนสต็อกและรอบที่จองไว้
+  let order;
+  try {
+    const { orderId, orderNo, businessDate } = await nextOrderNumber();
+    const lines = items.map(item => ({
+      itemId: item.itemId,
+      name: item.name,
+      qty: item.qty,
+      categoryId: item.categoryId,
+      category: item.category,
+      price: tier ? 0 : item.price,
+      buffet: !!tier,
+      // บุฟเฟ่ต์ไม่คิดราคาเพิ่มของตัวเลือก
+      modifiers: tier ? item.modifiers.map(m => ({ ...m, priceDelta: 0 })) : item.modifiers,
+      note: String(item.note || '').trim()
+    }));
+
     // Create order in database
-    const order = new Order({
+    order = new Order({
       orderId,
-      table: table || '',
-      items: items.map(item => ({
-        name: item.name,
-        qty: item.qty || 1,
-        category: item.category || '',
-        price: item.price || 0
-      })),
-      note: note || '',
-      status: 'NEW'
+      orderNo,
+      businessDate,
+      table: session.table,
+      sessionId: session._id,
+      idempotencyKey: idempotencyKey || undefined,
+      ticketsQueued: false,
+      createdBy: by,
+      items: lines,
+      note: String(body.note || ''),
+      status: 'NEW',
+      ...orderTotals(lines)
     });
-    
     await order.save();
-    
-    // Emit real-time update
-    io.emit('new-order', order);
+  } catch (error) {
+    await releaseStock(reserved);
+    await releaseRound(session, roundAt);
+    const duplicate = error.code === 11000 && error.keyPattern?.idempotencyKey && await findDuplicate();
+    if (duplicate) return { order: duplicate, duplicate: true };
+    throw error;
+  }
+  if (reserved.size) emitMenuUpdated();
+  
+  // Emit real-time update
+  toStaffAndTable(session.table).emit('new-order', order);
 
-    // Print logic
-    const categories = await Category.find({ active: true });
-    const byPrinter = { EPSON: [], XPRINTER: [] };
-    
-    for (const item of items) {
-      const cat = categories.find(c => c.name === item.category) || { printer: 'EPSON' };
-      const target = (cat.printer === 'XPRINTER') ? 'XPRINTER' : 'EPSON';
-      byPrinter[target].push(item);
-    }
+  // Queue kitchen tickets (worker prints + retries in the background); ถ้าไม่สำเร็จ ส่งซ้ำด้วย key เดิมจะส่งใหม่
+  await ensureKitchenTickets(order, queueKitchenTickets);
 
-    const makeLines = (subset) => [
-      `โต๊ะ ${table || '-'}`,
-      ...subset.map(x => `x${x.qty || 1}  ${x.name}`),
-      ...(note ? [`หมายเหตุ: ${note}`] : [])
-    ];
+  return { order };
+}
 
-    // Print to each printer if it has items
-    if (byPrinter.EPSON.length) {
-      try { 
-        await printEpson({ 
-          host: EPSON_IP, 
-          port: EPSON_PORT, 
-          title: `ORDER #${orderId}`, 
-          lines: makeLines(byPrinter.EPSON) 
-        });
-        
-        // Update print timestamp
-        await Order.findOneAndUpdate(
-          { orderId }, 
-          { $set: { printedAt: new Date() } }
-        );
-      }
-      catch (e) { console.error('Print EPSON error:', e.message); }
-    }
-    
-    if (byPrinter.XPRINTER.length) {
-      try { 
-        await printXprinterThaiCP874({ 
-          host: XPRINTER_IP, 
-          port: XPRINTER_PORT, 
-          title: `ORDER #${orderId}`, 
-          lines: makeLines(byPrinter.XPRINTER) 
-        });
-        
-        // Update print timestamp
-        await Order.findOneAndUpdate(
-          { orderId }, 
-          { $set: { printedAt: new Date() } }
-        );
-      }
-      catch (e) { console.error('Print XPRINTER error:', e.message); }
-    }
+const toOrderCreated = (order, extra = {}) => ({ ok: true, orderId: order.orderId, orderNo: orderLabel(order), ...extra });
+// header Idempotency-Key (หรือ body.idempotencyKey) กันส่งออเดอร์เดิมซ้ำ
+const idempotencyKeyOf = (req) => String(req.get('idempotency-key') || req.body.idempotencyKey || '').trim().slice(0, 100);
+
+// Customer order from the table QR
+const orderHandler = async (req, res) => {
+  try {
+    // โต๊ะมาจาก QR token ที่เซ็นไว้เท่านั้น (ไม่เชื่อ table ใน body) และ session ต้องยังเปิดอยู่
+    const { session, status, error } = await resolveTableToken(req.body.token || req.get('x-table-token'));
+    if (!session) return res.status(status).json({ error });
 
-    res.json({ ok: true, orderId });
+    const { order, duplicate, status: failStatus, ...failure } = await placeOrder(session, req.body, { by: 'customer', idempotencyKey: idempotencyKeyOf(req) });
+    if (!order) return res.status(failStatus).json(failure);
+    res.json(toOrderCreated(order, duplicate ? { duplicate } : {}));
   } catch (error) { 
     console.error('Order creation error:', error);
     res.status(500).json({ error: error.message }); 
@@ -331,7 +743,24 @@ const orderHandler = async (req, res) => {
 app.post('/api/order', orderHandler);
 app.post('/api/orders', orderHandler);
 
-app.get('/api/orders', async (req, res) => {
+// Staff order entry for any open table (พนักงานสั่งแทนลูกค้า)
+app.post('/api/tables/:table/orders', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = await TableSession.findOne({ table: req.params.table, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+
+    const { order, duplicate, status, ...failure } = await placeOrder(session, req.body, {
+      by: req.user.username, staff: true, idempotencyKey: idempotencyKeyOf(req)
+    });
+    if (!order) return res.status(status).json(failure);
+    res.json(toOrderCreated(order, duplicate ? { duplicate } : {}));
+  } catch (error) {
+    console.error('Staff order error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/orders', requireRole(), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const orders = await Order.find()
@@ -340,12 +769,18 @@ app.get('/api/orders', async (req, res) => {
       
     res.json(orders.map(o => ({
       orderId: o.orderId,
+      orderNo: orderLabel(o),
       table: o.table,
       items: o.items,
       note: o.note,
       status: o.status,
       totalItems: o.totalItems,
       totalAmount: o.totalAmount,
+      prints: o.prints,
+      sessionId: o.sessionId,
+      billId: o.billId,
+      createdBy: o.createdBy,
+      amendments: o.amendments,
       ts: o.createdAt
     })));
   } catch (error) {
@@ -354,77 +789,1262 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
-// Print tests
-app.post('/api/print-test', async (req, res) => {
+// Print queue (failed jobs + reprint)
+app.get('/api/print-jobs', requireRole(), async (req, res) => {
   try {
-    const lines = ['โต๊ะ TEST', 'ทดสอบพิมพ์ไทย (ESC/POS)', 'เนื้อออสเตรเลีย x2', 'กุ้ง x1'];
-    await printEpson({ host: EPSON_IP, port: EPSON_PORT, title: 'TEST PRINT (EPSON)', lines });
-    res.json({ ok: true });
-  } catch (error) { 
-    console.error('Epson test print error:', error);
-    res.status(500).json({ error: error.message }); 
+    const { state, orderId } = req.query;
+    const filter = {};
+    if (state) filter.state = state;
+    if (orderId) filter.orderId = orderId;
+    const limit = parseInt(req.query.limit) || 50;
+    const jobs = await PrintJob.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(jobs.map(toPrintJobJSON));
+  } catch (error) {
+    console.error('Print jobs fetch error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/print-test-xprinter', async (req, res) => {
+app.post('/api/print-jobs/:id/retry', requireRole(), async (req, res) => {
   try {
-    const lines = ['โต๊ะ TEST-X', 'ทดสอบพิมพ์ไทย (XPrinter)', 'หมูสไลซ์ x2', 'ปลาหมึก x1'];
-    await printXprinterThaiCP874({ host: XPRINTER_IP, port: XPRINTER_PORT, title: 'TEST PRINT (XPRINTER)', lines });
-    res.json({ ok: true });
+    const job = isObjectId(req.params.id) && await printQueue.retry(req.params.id);
+    if (!job) return res.status(404).json({ error: 'ไม่พบงานพิมพ์ที่สั่งซ้ำได้' });
+    res.json({ ok: true, job: toPrintJobJSON(job) });
   } catch (error) {
-    console.error('XPrinter test print error:', error);
+    console.error('Print job retry error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// QR for a table
-app.get('/api/qr', async (req, res) => {
+app.post('/api/orders/:orderId/reprint', requireRole(), async (req, res) => {
   try {
-    const { table = '1' } = req.query;
-    const url = `${req.protocol}://${req.get('host')}/?table=${encodeURIComponent(table)}`;
-    const png = await QRCode.toBuffer(url, { errorCorrectionLevel: 'M', width: 600 });
-    res.setHeader('Content-Type', 'image/png'); 
-    res.send(png);
-  } catch (error) { 
-    res.status(500).json({ error: error.message }); 
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const jobs = await queueKitchenTickets(order, { kind: 'REPRINT', printer: req.body?.printer });
+    if (!jobs.length) return res.status(400).json({ error: 'ไม่มีรายการที่ต้องพิมพ์' });
+    res.json({ ok: true, jobs: jobs.map(toPrintJobJSON) });
+  } catch (error) {
+    console.error('Order reprint error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Update order status
-app.patch('/api/orders/:orderId', async (req, res) => {
+// Printers registry
+const toPrinterJSON = (p) => ({
+  id: String(p._id),
+  name: p.name,
+  driver: p.driver,
+  host: p.host,
+  port: p.port,
+  encoding: p.encoding,
+  paperWidth: p.paperWidth,
+  emulate: p.emulate,
+  enabled: p.enabled
+});
+
+async function listPrinters() {
+  const printers = await Printer.find().sort({ name: 1 });
+  return printers.map(toPrinterJSON);
+}
+
+// ตรวจ/แปลงค่าจาก body; คืน { error } ถ้าไม่ผ่าน
+function parsePrinterBody(body, { partial = false } = {}) {
+  const out = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'ต้องใส่ชื่อเครื่องพิมพ์' };
+    out.name = String(body.name).trim();
+  }
+  if (body.driver !== undefined) {
+    if (!listDrivers().includes(body.driver)) return { error: 'ไม่รู้จัก driver นี้' };
+    out.driver = body.driver;
+  }
+  if (body.emulate !== undefined) {
+    if (body.emulate === 'file' || !listDrivers().includes(body.emulate)) return { error: 'ไม่รู้จัก driver นี้' };
+    out.emulate = body.emulate;
+  }
+  if (body.host !== undefined) out.host = String(body.host).trim();
+  if (body.port !== undefined) {
+    const port = Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port ไม่ถูกต้อง' };
+    out.port = port;
+  }
+  if (body.encoding !== undefined) {
+    if (!isSupportedEncoding(body.encoding)) return { error: 'ไม่รองรับ encoding นี้' };
+    out.encoding = body.encoding;
+  }
+  if (body.paperWidth !== undefined) {
+    const width = Number(body.paperWidth);
+    if (![58, 80].includes(width)) return { error: 'ความกว้างกระดาษต้องเป็น 58 หรือ 80' };
+    out.paperWidth = width;
+  }
+  if (body.enabled !== undefined) out.enabled = body.enabled === true || body.enabled === 'true';
+  return { data: out };
+}
+
+app.get('/api/printers', requireRole('cashier'), async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const { status } = req.body;
-    
-    const validStatuses = ['NEW', 'PREPARING', 'READY', 'SERVED', 'CANCELLED'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
-    
-    const order = await Order.findOneAndUpdate(
-      { orderId }, 
-      { $set: { status, updatedAt: new Date() } },
-      { new: true }
-    );
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-    
-    // Emit real-time update
-    io.emit('order-updated', { orderId, status });
-    
-    res.json({ ok: true, order });
+    res.json({ printers: await listPrinters(), drivers: listDrivers() });
   } catch (error) {
-    console.error('Order update error:', error);
+    console.error('Printers fetch error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Serve admin page
-app.get('/admin/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public/admin.html'));
-});
+app.post('/api/printers', requireRole('owner'), async (req, res) => {
+  try {
+    const { data, error } = parsePrinterBody(req.body);
+    if (error) return res.status(400).json({ error });
+    if (await Printer.exists({ name: data.name })) return res.status(400).json({ error: 'มีชื่อเครื่องพิมพ์นี้อยู่แล้ว' });
+
+    await Printer.create(data);
+    res.json({ ok: true, printers: await listPrinters() });
+  } catch (error) {
+    console.error('Printer create error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/printers/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const printer = isObjectId(req.params.id) && await Printer.findById(req.params.id);
+    if (!printer) return res.status(404).json({ error: 'ไม่พบเครื่องพิมพ์' });
+
+    const { data, error } = parsePrinterBody(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    const oldName = printer.name;
+    if (data.name && data.name !== oldName && await Printer.exists({ name: data.name })) {
+      return res.status(400).json({ error: 'มีชื่อเครื่องพิมพ์นี้อยู่แล้ว' });
+    }
+    printer.set(data);
+    await printer.save();
+
+    // หมวด settings และงานพิมพ์ที่ยังไม่เสร็จ (อ้างเครื่องด้วยชื่อ) ให้ตามไปด้วย
+    if (printer.name !== oldName) {
+      await repointPrinter(oldName, printer.name);
+      await PrintJob.updateMany({ printer: oldName, state: { $ne: 'done' } }, { $set: { printer: printer.name } });
+    }
+    res.json({ ok: true, printers: await listPrinters() });
+  } catch (error) {
+    console.error('Printer update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// settings ที่เก็บชื่อเครื่องพิมพ์
+const PRINTER_SETTINGS = ['cashier_printer', 'broth_printer'];
+
+// หมวดและ settings ที่อ้างชื่อเครื่องเดิม (newName '' = ใช้เครื่องแรกที่เปิดใช้)
+async function repointPrinter(oldName, newName) {
+  await Category.updateMany({ printer: oldName }, { $set: { printer: newName } });
+  const settings = await getSettings();
+  const keys = PRINTER_SETTINGS.filter(key => settings[key] === oldName);
+  if (keys.length) await updateSettings(Object.fromEntries(keys.map(key => [key, newName])));
+}
+
+app.delete('/api/printers/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const printer = isObjectId(req.params.id) && await Printer.findByIdAndDelete(req.params.id);
+    if (!printer) return res.status(404).json({ error: 'ไม่พบเครื่องพิมพ์' });
+
+    // Categories and settings fall back to the default printer; pending jobs move to it (or fail if none is left)
+    await repointPrinter(printer.name, '');
+    const fallback = await Printer.findOne({ enabled: true }).sort({ createdAt: 1 });
+    await PrintJob.updateMany(
+      { printer: printer.name, state: { $ne: 'done' } },
+      fallback
+        ? { $set: { printer: fallback.name } }
+        : { $set: { state: 'failed', lastError: `Printer ${printer.name} was deleted` } }
+    );
+    res.json({ ok: true, printers: await listPrinters() });
+  } catch (error) {
+    console.error('Printer delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test print (direct, not queued, so the admin sees the result immediately)
+app.post('/api/printers/:id/test-print', requireRole('owner'), async (req, res) => {
+  try {
+    const printer = isObjectId(req.params.id) && await Printer.findById(req.params.id);
+    if (!printer) return res.status(404).json({ error: 'ไม่พบเครื่องพิมพ์' });
+
+    const lines = [
+      'โต๊ะ TEST',
+      `ทดสอบพิมพ์ไทย (${printer.driver}, ${printer.encoding})`,
+      `${printer.host || '-'}:${printer.port}  ${printer.paperWidth}mm`,
+      'เนื้อออสเตรเลีย x2',
+      'กุ้ง x1'
+    ];
+    const result = await printTicket({ ...printerTarget(printer), title: `TEST PRINT (${printer.name})`, lines });
+    res.json({ ok: true, result });
+  } catch (error) {
+    console.error('Test print error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- SETTINGS ---
+// ตรวจ/แปลงค่าจาก body (แก้ได้เฉพาะ key ใน DEFAULT_SETTINGS); คืน { error } ถ้าไม่ผ่าน
+async function parseSettingsBody(body) {
+  const out = {};
+  if (body.restaurant_name !== undefined) {
+    if (!String(body.restaurant_name).trim()) return { error: 'ต้องใส่ชื่อร้าน' };
+    out.restaurant_name = String(body.restaurant_name).trim();
+  }
+  for (const key of ['tax_rate', 'service_charge']) {
+    if (body[key] === undefined) continue;
+    const pct = Number(body[key]);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) return { error: 'เปอร์เซ็นต์ต้องอยู่ระหว่าง 0 ถึง 100' };
+    out[key] = pct;
+  }
+  if (body.currency !== undefined) out.currency = String(body.currency).trim() || DEFAULT_SETTINGS.currency;
+  if (body.receipt_footer !== undefined) out.receipt_footer = String(body.receipt_footer);
+  for (const key of PRINTER_SETTINGS) {
+    if (body[key] === undefined) continue;
+    const name = String(body[key]).trim();
+    if (name && !await Printer.exists({ name })) return { error: `ไม่พบเครื่องพิมพ์: ${name}` };
+    out[key] = name;
+  }
+  if (body.broths !== undefined) {
+    out.broths = [...new Set(toNameList(body.broths))];
+    if (!out.broths.length) return { error: 'ต้องมีน้ำซุปอย่างน้อย 1 อย่าง' };
+  }
+  if (body.setup_items !== undefined) out.setup_items = [...new Set(toNameList(body.setup_items))];
+  return { data: out };
+}
+
+app.get('/api/settings', requireRole('cashier'), async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (error) {
+    console.error('Settings fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/settings', requireRole('owner'), async (req, res) => {
+  try {
+    const { data, error } = await parseSettingsBody(req.body || {});
+    if (error) return res.status(400).json({ error });
+    res.json({ ok: true, settings: await updateSettings(data) });
+  } catch (error) {
+    console.error('Settings update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- BUFFET TIERS ---
+const toBuffetTierJSON = (t) => ({
+  id: String(t._id),
+  name: t.name,
+  pricePerHead: t.pricePerHead,
+  durationMin: t.durationMin,
+  lastOrderMin: t.lastOrderMin,
+  // ชื่อสำหรับแสดง (populate) + id สำหรับอ้างอิง; หมวด/เมนูที่ถูกลบไปแล้วไม่แสดง
+  categories: t.categories.filter(c => c?.name).map(c => c.name),
+  categoryIds: t.categories.filter(c => c?.name).map(c => String(c._id)),
+  items: t.items.filter(i => i?.name).map(i => i.name),
+  itemIds: t.items.filter(i => i?.name).map(i => String(i._id)),
+  maxQtyPerItem: t.maxQtyPerItem,
+  maxItemsPerHead: t.maxItemsPerHead,
+  roundCooldownMin: t.roundCooldownMin,
+  description: t.description,
+  active: t.active
+});
+
+async function listBuffetTiers() {
+  const tiers = await BuffetTier.find().sort({ pricePerHead: 1, name: 1 })
+    .populate('categories', 'name').populate('items', 'name');
+  return tiers.map(toBuffetTierJSON);
+}
+
+const toNameList = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+// หมวด/เมนูในแพ็กเกจรับได้ทั้ง id และชื่อ (ช่องเมนูในหลังบ้านพิมพ์ชื่อคั่นด้วย ,) เก็บเป็น ObjectId
+async function resolveRefs(Model, values, label) {
+  const list = toNameList(values);
+  const docs = await Model.find({ $or: [{ _id: { $in: list.filter(isObjectId) } }, { name: { $in: list } }] }, 'name');
+  const find = (v) => docs.find(d => String(d._id) === v || d.name === v);
+  const missing = list.filter(v => !find(v));
+  if (missing.length) return { error: `ไม่พบ${label}: ${missing.join(', ')}` };
+  return { ids: [...new Set(list.map(v => String(find(v)._id)))] };
+}
+
+// ตรวจ/แปลงค่าจาก body; คืน { error } ถ้าไม่ผ่าน
+async function parseBuffetTierBody(body, { partial = false } = {}) {
+  const out = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'ต้องใส่ชื่อแพ็กเกจ' };
+    out.name = String(body.name).trim();
+  }
+  if (body.pricePerHead !== undefined) {
+    const price = Number(body.pricePerHead);
+    if (!(price >= 0)) return { error: 'ราคาต่อหัวไม่ถูกต้อง' };
+    out.pricePerHead = price;
+  }
+  if (body.durationMin !== undefined) {
+    const minutes = parseInt(body.durationMin);
+    if (!(minutes >= 1)) return { error: 'เวลาทานต้องมากกว่า 0 นาที' };
+    out.durationMin = minutes;
+  }
+  if (body.lastOrderMin !== undefined) {
+    const minutes = parseInt(body.lastOrderMin);
+    if (!(minutes >= 0)) return { error: 'เวลา last order ไม่ถูกต้อง' };
+    out.lastOrderMin = minutes;
+  }
+  for (const f of ['maxQtyPerItem', 'maxItemsPerHead', 'roundCooldownMin']) {
+    if (body[f] === undefined) continue;
+    const n = parseInt(body[f] || 0);
+    if (!(n >= 0)) return { error: 'ค่าจำกัดต่อรอบต้องเป็น 0 (ไม่จำกัด) หรือมากกว่า' };
+    out[f] = n;
+  }
+  if (body.categories !== undefined) {
+    const { ids, error } = await resolveRefs(Category, body.categories, 'หมวด');
+    if (error) return { error };
+    out.categories = ids;
+  }
+  if (body.items !== undefined) {
+    const { ids, error } = await resolveRefs(MenuItem, body.items, 'เมนู');
+    if (error) return { error };
+    out.items = ids;
+  }
+  if (body.description !== undefined) out.description = String(body.description);
+  if (body.active !== undefined) out.active = body.active === true || body.active === 'true';
+  return { data: out };
+}
+
+app.get('/api/buffet-tiers', requireRole('cashier'), async (req, res) => {
+  try {
+    res.json(await listBuffetTiers());
+  } catch (error) {
+    console.error('Buffet tiers fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/buffet-tiers', requireRole('owner'), async (req, res) => {
+  try {
+    const { data, error } = await parseBuffetTierBody(req.body);
+    if (error) return res.status(400).json({ error });
+    if (await BuffetTier.exists({ name: data.name })) return res.status(400).json({ error: 'มีชื่อแพ็กเกจนี้อยู่แล้ว' });
+
+    await BuffetTier.create(data);
+    res.json({ ok: true, tiers: await listBuffetTiers() });
+  } catch (error) {
+    console.error('Buffet tier create error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/buffet-tiers/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const tier = isObjectId(req.params.id) && await BuffetTier.findById(req.params.id);
+    if (!tier) return res.status(404).json({ error: 'ไม่พบแพ็กเกจบุฟเฟ่ต์' });
+
+    const { data, error } = await parseBuffetTierBody(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    const oldName = tier.name;
+    if (data.name && data.name !== oldName && await BuffetTier.exists({ name: data.name })) {
+      return res.status(400).json({ error: 'มีชื่อแพ็กเกจนี้อยู่แล้ว' });
+    }
+    tier.set(data);
+    await tier.save();
+
+    // โต๊ะที่นั่งอยู่ยังผูกกับชื่อเดิม (ราคา/เวลาเป็น snapshot ไม่เปลี่ยน)
+    if (tier.name !== oldName) {
+      await TableSession.updateMany({ buffetTier: oldName, status: 'OPEN' }, { $set: { buffetTier: tier.name } });
+    }
+    res.json({ ok: true, tiers: await listBuffetTiers() });
+  } catch (error) {
+    console.error('Buffet tier update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/buffet-tiers/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const tier = isObjectId(req.params.id) && await BuffetTier.findById(req.params.id);
+    if (!tier) return res.status(404).json({ error: 'ไม่พบแพ็กเกจบุฟเฟ่ต์' });
+    if (await TableSession.exists({ buffetTier: tier.name, status: 'OPEN' })) {
+      return res.status(400).json({ error: 'มีโต๊ะที่ใช้แพ็กเกจนี้อยู่ ปิดใช้งานแทนการลบ' });
+    }
+
+    await tier.deleteOne();
+    res.json({ ok: true, tiers: await listBuffetTiers() });
+  } catch (error) {
+    console.error('Buffet tier delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- TABLE SESSIONS ---
+const toSessionJSON = (t) => ({
+  id: String(t._id),
+  table: t.table,
+  partySize: t.partySize,
+  status: t.status,
+  state: tableState(t),
+  buffetTier: t.buffetTier,
+  buffetPricePerHead: t.buffetPricePerHead,
+  buffetEndsAt: t.buffetEndsAt,
+  lastOrderAt: t.lastOrderAt,
+  setup: t.setup,
+  openedAt: t.openedAt,
+  closedAt: t.closedAt,
+  billId: t.billId
+});
+
+function emitSession(session) {
+  toCashiers().to(tableRoom(session.table)).emit('session-updated', toSessionJSON(session));
+  // ปิดโต๊ะแล้ว ลูกค้ากลุ่มเดิมไม่ต้องได้ event ของลูกค้ากลุ่มถัดไป
+  if (session.status === 'CLOSED') io.in(tableRoom(session.table)).socketsLeave(tableRoom(session.table));
+}
+
+app.get('/api/sessions', requireRole('cashier'), async (req, res) => {
+  try {
+    const filter = { status: req.query.status || 'OPEN' };
+    if (req.query.table) filter.table = req.query.table;
+    const sessions = await TableSession.find(filter).sort({ openedAt: -1 }).limit(parseInt(req.query.limit) || 100);
+    res.json(sessions.map(toSessionJSON));
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Customer page: which table does this QR token belong to, and is it still open?
+app.get('/api/table-session', async (req, res) => {
+  try {
+    const { session, error } = await resolveTableToken(req.query.token);
+    // ยังไม่จัดโต๊ะ: ส่งตัวเลือกหม้อ/น้ำซุปไปให้ลูกค้าเลือก
+    const setupOptions = session && !session.setup ? { pots: POT_TYPES, broths: (await getSettings()).broths } : null;
+    res.json({ open: !!session, session: session ? toSessionJSON(session) : null, setupOptions, error });
+  } catch (error) {
+    console.error('Table session fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Customer page: every round this table has sent in the current session
+app.get('/api/table-orders', async (req, res) => {
+  try {
+    const { session, status, error } = await resolveTableToken(req.query.token);
+    if (!session) return res.status(status).json({ error });
+
+    const orders = await Order.find({ sessionId: session._id }).sort({ createdAt: 1 });
+    res.json({
+      table: session.table,
+      orders: orders.map(o => ({
+        orderId: o.orderId,
+        orderNo: orderLabel(o),
+        status: o.status,
+        note: o.note,
+        items: o.items.map(i => ({
+          id: String(i._id), name: i.name, qty: i.qty, status: i.status, options: describeModifiers(i.modifiers), note: i.note
+        })),
+        ts: o.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Table orders fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions', requireRole('cashier'), async (req, res) => {
+  try {
+    const table = String(req.body.table || '').trim();
+    const partySize = parseInt(req.body.partySize) || 1;
+    if (!table) return res.status(400).json({ error: 'กรุณาระบุหมายเลขโต๊ะ' });
+    if (partySize < 1) return res.status(400).json({ error: 'จำนวนคนต้องมากกว่า 0' });
+    if (await TableSession.exists({ table, status: 'OPEN' })) {
+      return res.status(409).json({ error: 'โต๊ะนี้เปิดอยู่แล้ว' });
+    }
+
+    let tier = null;
+    if (req.body.buffetTier) {
+      tier = await BuffetTier.findOne({ name: req.body.buffetTier, active: true });
+      if (!tier) return res.status(400).json({ error: 'ไม่พบแพ็กเกจบุฟเฟ่ต์' });
+    }
+
+    // พนักงานเลือกน้ำซุปให้ตอนเปิดโต๊ะได้เลย (ไม่เลือก = ให้ลูกค้าเลือกจาก QR)
+    const settings = await getSettings();
+    let setup = null;
+    if (req.body.pot) {
+      const parsed = parseTableSetup(req.body, settings);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      setup = { ...parsed.setup, setAt: new Date(), setBy: req.user.username };
+    }
+
+    const session = new TableSession({ table, partySize, setup });
+    applyBuffetTier(session, tier);
+    await session.save();
+    if (setup) await queueSetupTicket(session, settings);
+    emitSession(session);
+    res.json({ ok: true, session: toSessionJSON(session) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'โต๊ะนี้เปิดอยู่แล้ว' });
+    console.error('Session open error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/sessions/:id', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = isObjectId(req.params.id) && await TableSession.findOne({ _id: req.params.id, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+
+    if (req.body.partySize !== undefined) {
+      const partySize = parseInt(req.body.partySize);
+      if (!(partySize >= 1)) return res.status(400).json({ error: 'จำนวนคนต้องมากกว่า 0' });
+      session.partySize = partySize;
+    }
+    // เปลี่ยนแพ็กเกจ: เวลายังนับจากตอนเปิดโต๊ะ
+    if (req.body.buffetTier !== undefined && req.body.buffetTier !== session.buffetTier) {
+      const tier = req.body.buffetTier ? await BuffetTier.findOne({ name: req.body.buffetTier, active: true }) : null;
+      if (req.body.buffetTier && !tier) return res.status(400).json({ error: 'ไม่พบแพ็กเกจบุฟเฟ่ต์' });
+      applyBuffetTier(session, tier);
+    }
+    await session.save();
+
+    emitSession(session);
+    res.json({ ok: true, session: toSessionJSON(session) });
+  } catch (error) {
+    console.error('Session update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- TABLE SETUP (หม้อ + น้ำซุป + ชุดพื้นฐาน) ---
+// ใบจัดโต๊ะไปที่ broth_printer > เครื่องแรกที่เปิดใช้ (ไม่มีเครื่องพิมพ์ก็ยังบันทึก setup)
+async function queueSetupTicket(session, settings, { changed = false } = {}) {
+  const printer = (settings.broth_printer && await Printer.findOne({ name: settings.broth_printer, enabled: true }))
+    || await Printer.findOne({ enabled: true }).sort({ createdAt: 1 });
+  if (!printer) {
+    console.warn(`⚠️ No printer for table setup ticket (table ${session.table})`);
+    return null;
+  }
+  return printQueue.enqueue({ printer: printer.name, kind: 'SETUP', ...buildSetupTicket(session, { changed }) });
+}
+
+/**
+ * บันทึกหม้อ/น้ำซุปของ session แล้วพิมพ์ใบจัดโต๊ะ
+ * onlyIfEmpty: ลูกค้าเลือกได้ครั้งเดียว (กันหลายเครื่องที่โต๊ะเดียวกดพร้อมกัน) ส่วนพนักงานเปลี่ยนได้
+ * @returns {Promise<{ session } | { status, error }>}
+ */
+async function saveTableSetup(session, body, { by, onlyIfEmpty = false }) {
+  const settings = await getSettings();
+  const { setup, error } = parseTableSetup(body, settings);
+  if (error) return { status: 400, error };
+
+  const changed = !!session.setup;
+  const updated = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: 'OPEN', ...(onlyIfEmpty ? { setup: null } : {}) },
+    { $set: { setup: { ...setup, setAt: new Date(), setBy: by } } },
+    { new: true }
+  );
+  if (!updated) {
+    return onlyIfEmpty
+      ? { status: 409, error: 'โต๊ะนี้เลือกน้ำซุปแล้ว หากต้องการเปลี่ยนกรุณาติดต่อพนักงาน' }
+      : { status: 404, error: 'ไม่พบโต๊ะที่เปิดอยู่' };
+  }
+
+  await queueSetupTicket(updated, settings, { changed });
+  emitSession(updated);
+  return { session: updated };
+}
+
+// Customer picks the broth from the table QR (once per session)
+app.post('/api/table-setup', async (req, res) => {
+  try {
+    const { session, status, error } = await resolveTableToken(req.body.token || req.get('x-table-token'));
+    if (!session) return res.status(status).json({ error });
+
+    const result = await saveTableSetup(session, req.body, { by: 'customer', onlyIfEmpty: true });
+    if (!result.session) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, session: toSessionJSON(result.session) });
+  } catch (error) {
+    console.error('Table setup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Staff sets or changes the broth (a change prints a "เปลี่ยนน้ำซุป" ticket)
+app.put('/api/sessions/:id/setup', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = isObjectId(req.params.id) && await TableSession.findOne({ _id: req.params.id, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+
+    const result = await saveTableSetup(session, req.body, { by: req.user.username });
+    if (!result.session) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, session: toSessionJSON(result.session) });
+  } catch (error) {
+    console.error('Session setup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Close without a bill (e.g. the group left without ordering)
+app.post('/api/sessions/:id/close', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = isObjectId(req.params.id) && await TableSession.findOne({ _id: req.params.id, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+    // บิลที่ยังเปิดอยู่ปิดโต๊ะได้เมื่อไม่มียอดค้าง (บิลยอด 0 ที่เช็คบิลไว้ก่อนหน้า)
+    const bill = session.billId && await Bill.findOne({ _id: session.billId, status: 'OPEN' });
+    const { closeBill, status, error } = checkSessionClose({
+      hasOpenOrders: !!await Order.exists(openOrdersFilter(session.table, session)),
+      bill,
+      payments: bill ? await Payment.find({ billId: bill._id }) : []
+    });
+    if (error) return res.status(status).json({ error });
+    if (closeBill) {
+      await closePaidBill(bill);
+      return res.json({ ok: true, session: toSessionJSON(await TableSession.findById(session._id)) });
+    }
+
+    session.status = 'CLOSED';
+    session.closedAt = new Date();
+    await session.save();
+
+    emitSession(session);
+    res.json({ ok: true, session: toSessionJSON(session) });
+  } catch (error) {
+    console.error('Session close error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- MOVE / MERGE TABLES ---
+// ใบแจ้งย้าย/รวมโต๊ะ: ทุกสถานีที่ยังมีรายการค้างทำ (ไม่มีรายการค้าง = ไม่ต้องพิมพ์)
+async function queueMoveTickets(orders, move) {
+  const { stationOf } = await loadStationRouter();
+  const byPrinter = {};
+  for (const order of orders) {
+    for (const item of order.items.filter(i => ['NEW', 'PREPARING', 'READY'].includes(i.status))) {
+      const printer = stationOf(item);
+      if (printer) (byPrinter[printer] ||= new Set()).add(orderLabel(order));
+    }
+  }
+  return Promise.all(Object.entries(byPrinter).map(([printer, labels]) =>
+    printQueue.enqueue({ printer, kind: 'MOVE', ...buildMoveTicket({ ...move, orderLabels: [...labels] }) })
+  ));
+}
+
+/**
+ * ย้าย session ไปโต๊ะว่าง (MOVE) หรือรวมเข้ากับโต๊ะที่เปิดอยู่ (MERGE)
+ * @returns {Promise<{ session } | { status, error }>} session = session ที่ลูกค้านั่งอยู่หลังย้าย/รวม
+ */
+async function moveTableSession(source, kind, toTable, { by }) {
+  const target = await TableSession.findOne({ table: String(toTable || '').trim(), status: 'OPEN' });
+  const { table, status, error } = checkTableMove(source, toTable, target, kind);
+  if (error) return { status, error };
+
+  const from = source.table;
+  // ออเดอร์ที่ย้ายตาม (สถานะรายการไม่เปลี่ยน ใช้หาสถานีที่ต้องแจ้ง)
+  const orders = await Order.find({ sessionId: source._id, status: { $ne: 'CANCELLED' } }).sort({ createdAt: 1 });
+  const { session, closed, ...failed } = await applyTableMove(source, target, kind, table);
+  if (!session) return failed;
+  if (closed) toCashiers().emit('session-updated', toSessionJSON(closed));
+
+  // มือถือลูกค้าที่ต่ออยู่ย้าย room ตามไปด้วย
+  io.in(tableRoom(from)).socketsJoin(tableRoom(table));
+  io.in(tableRoom(from)).socketsLeave(tableRoom(from));
+  emitSession(session);
+
+  await queueMoveTickets(orders, { kind, from, to: table, by });
+  io.to('staff').emit('table-moved', { kind, from, to: table });
+  return { session };
+}
+
+app.post('/api/sessions/:id/move', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = isObjectId(req.params.id) && await TableSession.findOne({ _id: req.params.id, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+
+    const result = await moveTableSession(session, 'MOVE', req.body.table, { by: req.user.username });
+    if (!result.session) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, session: toSessionJSON(result.session) });
+  } catch (error) {
+    console.error('Table move error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge this session into the open session at req.body.table (one bill at that table)
+app.post('/api/sessions/:id/merge', requireRole('cashier'), async (req, res) => {
+  try {
+    const session = isObjectId(req.params.id) && await TableSession.findOne({ _id: req.params.id, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'ไม่พบโต๊ะที่เปิดอยู่' });
+
+    const result = await moveTableSession(session, 'MERGE', req.body.table, { by: req.user.username });
+    if (!result.session) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, session: toSessionJSON(result.session) });
+  } catch (error) {
+    console.error('Table merge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- BILLING (check bill / close table) ---
+// ออเดอร์ของ session ที่เปิดอยู่ (ออเดอร์เก่าก่อนมี session ผูกด้วยชื่อโต๊ะ)
+const openOrdersFilter = (table, session) => ({
+  ...(session ? { sessionId: session._id } : { table, sessionId: null }),
+  status: { $ne: 'CANCELLED' },
+  billId: null
+});
+
+const toBillJSON = (b) => ({
+  id: String(b._id),
+  billNo: b.billNo,
+  table: b.table,
+  orderIds: b.orderIds,
+  lines: b.lines,
+  subtotal: b.subtotal,
+  serviceChargeRate: b.serviceChargeRate,
+  serviceCharge: b.serviceCharge,
+  taxRate: b.taxRate,
+  vat: b.vat,
+  total: b.total,
+  status: b.status,
+  paid: b.paid,
+  paidAt: b.paidAt,
+  splits: b.splits,
+  printer: b.printer,
+  ts: b.createdAt
+});
+
+const toPaymentJSON = (p) => ({
+  id: String(p._id),
+  kind: p.kind,
+  method: p.method,
+  amount: p.amount,
+  tendered: p.tendered,
+  change: p.change,
+  split: p.split,
+  reference: p.reference,
+  reason: p.reason,
+  by: p.by,
+  ts: p.createdAt
+});
+
+// บิล + รายการรับชำระ + ยอดค้าง (ทั้งบิลและแต่ละส่วนที่แยก) สำหรับหน้าแคชเชียร์
+async function billDetails(bill) {
+  const payments = await Payment.find({ billId: bill._id }).sort({ createdAt: 1 });
+  const { balance, splits } = billBalance(bill, payments);
+  return { ...toBillJSON(bill), balance, splits, payments: payments.map(toPaymentJSON) };
+}
+
+// ใบเสร็จไปที่เครื่องที่เลือก > cashier_printer ใน settings > เครื่องแรกที่เปิดใช้
+// payments ไม่ส่ง = ใบแจ้งยอดตอนเช็คบิล
+async function queueReceipt(bill, printerName, settings, payments = null) {
+  const printer = (printerName && await Printer.findOne({ name: printerName, enabled: true }))
+    || (settings.cashier_printer && await Printer.findOne({ name: settings.cashier_printer, enabled: true }))
+    || await Printer.findOne({ enabled: true }).sort({ createdAt: 1 });
+  if (!printer) throw new Error('ไม่มีเครื่องพิมพ์ที่เปิดใช้งาน');
+
+  return printQueue.enqueue({
+    printer: printer.name,
+    kind: 'RECEIPT',
+    title: settings.restaurant_name,
+    lines: buildReceiptLines(bill, { width: columnsFor(printer.paperWidth), footer: settings.receipt_footer, payments })
+  });
+}
+
+// Preview the bill for a table (not billed yet) or the open bill waiting for payment
+app.get('/api/tables/:table/bill', requireRole('cashier'), async (req, res) => {
+  try {
+    const { table } = req.params;
+    const session = await TableSession.findOne({ table, status: 'OPEN' });
+    const billed = session?.billId && await Bill.findById(session.billId);
+    if (billed) return res.json(await billDetails(billed));
+
+    const [orders, settings] = await Promise.all([
+      Order.find(openOrdersFilter(table, session)).sort({ createdAt: 1 }),
+      getSettings()
+    ]);
+    const bill = computeBill(orders, settings, { buffet: buffetBillLine(session) });
+    res.json({ table, orderIds: orders.map(o => o.orderId), ...bill });
+  } catch (error) {
+    console.error('Bill preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check bill: snapshot a Bill, attach orders to it, print it. The table stays open until it is paid.
+app.post('/api/tables/:table/checkout', requireRole('cashier'), async (req, res) => {
+  try {
+    const { table } = req.params;
+    const session = await TableSession.findOne({ table, status: 'OPEN' });
+    if (session?.billId) return res.status(409).json({ error: 'โต๊ะนี้เช็คบิลแล้ว รอชำระเงิน' });
+    const [orders, settings] = await Promise.all([
+      Order.find(openOrdersFilter(table, session)).sort({ createdAt: 1 }),
+      getSettings()
+    ]);
+    // บุฟเฟ่ต์คิดต่อหัว ถึงไม่มีออเดอร์ก็ต้องเก็บเงิน
+    const buffet = buffetBillLine(session);
+    if (!orders.length && !buffet) return res.status(400).json({ error: 'โต๊ะนี้ไม่มีออเดอร์ค้างชำระ' });
+
+    const orderIds = orders.map(o => o.orderId);
+    const bill = await Bill.create({
+      billNo: await nextBillNumber(),
+      table,
+      sessionId: session?._id || null,
+      orderIds,
+      status: 'OPEN',
+      ...computeBill(orders, settings, { buffet })
+    });
+
+    // กันเช็คบิลซ้อนกันสองเครื่อง: ออเดอร์ต้องยังไม่ถูกผูกบิลอื่น และ session ยังไม่มีบิล
+    const claimed = await Order.updateMany({ orderId: { $in: orderIds }, billId: null }, { $set: { billId: bill._id } });
+    const billed = session
+      ? await TableSession.findOneAndUpdate({ _id: session._id, status: 'OPEN', billId: null }, { $set: { billId: bill._id } }, { new: true })
+      : true;
+    if (claimed.modifiedCount !== orders.length || !billed) {
+      await Order.updateMany({ billId: bill._id }, { $set: { billId: null } });
+      if (billed && session) await TableSession.updateOne({ _id: session._id, billId: bill._id }, { $set: { billId: null } });
+      await Bill.deleteOne({ _id: bill._id });
+      return res.status(409).json({ error: 'มีการเช็คบิลโต๊ะนี้พร้อมกัน กรุณาลองใหม่' });
+    }
+
+    // บิลผูกแล้ว พิมพ์ไม่ได้ก็ต้องไม่ค้าง (พิมพ์ซ้ำได้ที่ /api/bills/:id/reprint)
+    let printError = null;
+    try {
+      const job = await queueReceipt(bill, req.body?.printer, settings);
+      bill.printer = job.printer;
+      await bill.save();
+    } catch (error) {
+      console.error('Receipt print error:', error.message);
+      printError = error.message;
+    }
+
+    // บิลยอด 0 (ยกเลิกทุกรายการ / บุฟเฟ่ต์ราคา 0) ไม่มีอะไรให้รับชำระ: ปิดบิลและโต๊ะเลย
+    if (isSettled(bill)) await closePaidBill(bill);
+    else if (session) emitSession(billed);
+    toCashiers().emit('bill-updated', { table, billId: String(bill._id) });
+    res.json({ ok: true, bill: await billDetails(bill), ...(printError && { printError }) });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bills', requireRole('cashier'), async (req, res) => {
+  try {
+    const filter = req.query.table ? { table: req.query.table } : {};
+    if (req.query.status) filter.status = req.query.status;
+    const limit = parseInt(req.query.limit) || 50;
+    const bills = await Bill.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(bills.map(toBillJSON));
+  } catch (error) {
+    console.error('Bills fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bills/:id', requireRole('cashier'), async (req, res) => {
+  try {
+    const bill = isObjectId(req.params.id) && await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'ไม่พบบิล' });
+    res.json(await billDetails(bill));
+  } catch (error) {
+    console.error('Bill fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/bills/:id/reprint', requireRole('cashier'), async (req, res) => {
+  try {
+    const bill = isObjectId(req.params.id) && await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'ไม่พบบิล' });
+
+    // จ่ายครบแล้วพิมพ์เป็นใบเสร็จพร้อมช่องทางชำระ ยังไม่ครบพิมพ์ใบแจ้งยอด
+    const payments = bill.status === 'PAID' ? await Payment.find({ billId: bill._id }).sort({ createdAt: 1 }) : null;
+    const job = await queueReceipt(bill, req.body?.printer || bill.printer, await getSettings(), payments);
+    res.json({ ok: true, job: toPrintJobJSON(job) });
+  } catch (error) {
+    console.error('Bill reprint error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Split the bill evenly, by items or by amounts (only before any payment is taken)
+app.post('/api/bills/:id/split', requireRole('cashier'), async (req, res) => {
+  try {
+    const bill = isObjectId(req.params.id) && await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'ไม่พบบิล' });
+    if (bill.status === 'PAID' || await Payment.exists({ billId: bill._id })) {
+      return res.status(409).json({ error: 'บิลนี้รับชำระไปแล้ว แยกบิลใหม่ไม่ได้' });
+    }
+
+    const { splits, error } = splitBill(bill, req.body);
+    if (error) return res.status(400).json({ error });
+    bill.splits = splits;
+    await bill.save();
+
+    toCashiers().emit('bill-updated', { table: bill.table, billId: String(bill._id) });
+    res.json({ ok: true, bill: await billDetails(bill) });
+  } catch (error) {
+    console.error('Bill split error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * บันทึกรับชำระ/คืนเงิน 1 รายการ แล้วปรับสถานะบิล
+ * Bill.paid เปลี่ยนได้เฉพาะเมื่อยังเท่ากับค่าที่ใช้ตรวจ (สองเครื่องรับเงินบิลเดียวกันพร้อมกันจะได้ 409)
+ * ยอดค้างเป็น 0 = บิล PAID + ปิดโต๊ะ + พิมพ์ใบเสร็จ, คืนเงินจนยอดค้างกลับมา = บิล OPEN (โต๊ะที่ปิดแล้วไม่เปิดใหม่)
+ * @returns {Promise<{ bill, payment } | { status, error }>}
+ */
+// ยอดค้างเป็น 0 = บิลปิด + โต๊ะว่าง
+async function closePaidBill(bill) {
+  bill.status = 'PAID';
+  bill.paidAt = new Date();
+  await bill.save();
+
+  const session = bill.sessionId && await TableSession.findOneAndUpdate(
+    { _id: bill.sessionId, status: 'OPEN' },
+    { $set: { status: 'CLOSED', closedAt: new Date() } },
+    { new: true }
+  );
+  if (session) emitSession(session);
+  toCashiers().emit('table-closed', { table: bill.table, billId: String(bill._id) });
+  return session;
+}
+
+async function recordPayment(bill, entry, { by, printer }) {
+  const delta = entry.kind === 'REFUND' ? -entry.amount : entry.amount;
+  const updated = await Bill.findOneAndUpdate(
+    { _id: bill._id, paid: bill.paid },
+    [{ $set: { paid: { $round: [{ $add: ['$paid', delta] }, 2] } } }],
+    { new: true }
+  );
+  if (!updated) return { status: 409, error: 'มีการรับชำระบิลนี้พร้อมกัน กรุณาลองใหม่' };
+
+  let payment;
+  try {
+    payment = await Payment.create({ ...entry, billId: bill._id, sessionId: bill.sessionId, table: bill.table, orderIds: bill.orderIds, by });
+  } catch (error) {
+    await Bill.updateOne({ _id: bill._id }, [{ $set: { paid: { $round: [{ $subtract: ['$paid', delta] }, 2] } } }]);
+    throw error;
+  }
+
+  const paidUp = updated.paid >= updated.total;
+  if (paidUp && updated.status !== 'PAID') {
+    await closePaidBill(updated);
+
+    const settings = await getSettings();
+    const payments = await Payment.find({ billId: bill._id }).sort({ createdAt: 1 });
+    await queueReceipt(updated, printer || updated.printer, settings, payments).catch(error => {
+      console.error('Receipt print error:', error.message);
+    });
+  } else if (!paidUp && updated.status === 'PAID') {
+    updated.status = 'OPEN';
+    updated.paidAt = null;
+    await updated.save();
+  }
+
+  toCashiers().emit('bill-updated', { table: updated.table, billId: String(updated._id) });
+  return { bill: updated, payment };
+}
+
+// Take one tender: cash (with change), card or PromptPay; several tenders per bill
+app.post('/api/bills/:id/payments', requireRole('cashier'), async (req, res) => {
+  try {
+    const bill = isObjectId(req.params.id) && await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'ไม่พบบิล' });
+
+    const payments = await Payment.find({ billId: bill._id });
+    const { payment, error } = planPayment(bill, payments, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const result = await recordPayment(bill, { kind: 'PAYMENT', ...payment }, { by: req.user.username, printer: req.body.printer });
+    if (!result.bill) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, payment: toPaymentJSON(result.payment), bill: await billDetails(result.bill) });
+  } catch (error) {
+    console.error('Payment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/bills/:id/refunds', requireRole('cashier'), async (req, res) => {
+  try {
+    const bill = isObjectId(req.params.id) && await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'ไม่พบบิล' });
+
+    const payments = await Payment.find({ billId: bill._id });
+    const { refund, error } = planRefund(bill, payments, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const result = await recordPayment(bill, { kind: 'REFUND', ...refund }, { by: req.user.username });
+    if (!result.bill) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, payment: toPaymentJSON(result.payment), bill: await billDetails(result.bill) });
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// QR for a table
+// QR ผูกกับ session ที่เปิดอยู่ของโต๊ะ ปิดโต๊ะแล้ว QR นี้ใช้สั่งไม่ได้
+app.get('/api/qr', requireRole('cashier'), async (req, res) => {
+  try {
+    const { table = '1' } = req.query;
+    const session = await TableSession.findOne({ table, status: 'OPEN' });
+    if (!session) return res.status(404).json({ error: 'โต๊ะนี้ยังไม่เปิด กรุณาเปิดโต๊ะก่อนสร้าง QR' });
+
+    const url = `${req.protocol}://${req.get('host')}/?t=${encodeURIComponent(signTableToken(session))}`;
+    const png = await QRCode.toBuffer(url, { errorCorrectionLevel: 'M', width: 600 });
+    res.setHeader('Content-Type', 'image/png'); 
+    res.send(png);
+  } catch (error) { 
+    res.status(500).json({ error: error.message }); 
+  }
+});
+
+// Printable sheet of QR codes for many tables (open sessions only; QR tokens die when the table closes)
+app.get('/api/qr/sheet', requireRole('cashier'), async (req, res) => {
+  try {
+    const parsed = parseTableList(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const sizeMm = QR_SIZES[String(req.query.size || 'M').toUpperCase()] || QR_SIZES.M;
+
+    const [sessions, settings] = await Promise.all([
+      TableSession.find({ table: { $in: parsed.tables }, status: 'OPEN' }),
+      getSettings()
+    ]);
+    const base = `${req.protocol}://${req.get('host')}/?t=`;
+    const { entries, skipped } = sheetEntries(parsed.tables, sessions, session => base + encodeURIComponent(signTableToken(session)));
+    if (!entries.length) return res.status(404).json({ error: 'โต๊ะที่เลือกยังไม่เปิด กรุณาเปิดโต๊ะก่อนพิมพ์ QR' });
+
+    const html = await buildQrSheet({ entries, skipped, shopName: settings.restaurant_name, sizeMm });
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    if (req.query.download) res.setHeader('Content-Disposition', 'attachment; filename="table-qr.html"');
+    res.send(html);
+  } catch (error) {
+    console.error('QR sheet error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- ORDER / ITEM STATUS ---
+// order.status คำนวณจากสถานะรายการเสมอ (services/orderStatus.js)
+const toItemEvent = (order, item) => ({
+  orderId: order.orderId,
+  orderNo: orderLabel(order),
+  table: order.table,
+  itemId: String(item._id),
+  name: item.name,
+  qty: item.qty,
+  status: item.status,
+  orderStatus: order.status
+});
+
+/**
+ * อัปเดตสถานะรายการในออเดอร์ (itemIds = null คือทุกรายการที่ยังไม่ยกเลิก)
+ * @returns {Promise<{ order } | { status, error }>}
+ */
+async function updateItemStatuses(orderId, itemIds, status) {
+  if (!ITEM_STATUSES.includes(status)) return { status: 400, error: 'Invalid status' };
+  // ยกเลิกต้องผ่าน amendOrder เท่านั้น (เหตุผล, amendments, คืนสต็อก, ใบแจ้งครัว, ล็อกเมื่อเช็คบิลแล้ว)
+  if (status === 'CANCELLED') return { status: 400, error: 'ยกเลิกรายการ/ออเดอร์ให้ใช้เมนูยกเลิก (ต้องระบุเหตุผล)' };
+
+  const current = await Order.findOne({ orderId });
+  if (!current) return { status: 404, error: 'Order not found' };
+
+  let targets;
+  if (itemIds) {
+    if (!Array.isArray(itemIds) || !itemIds.length) return { status: 400, error: 'กรุณาระบุรายการอาหาร' };
+    targets = itemIds.map(id => current.items.find(i => String(i._id) === String(id)));
+    if (targets.some(i => !i)) return { status: 404, error: 'ไม่พบรายการอาหารในออเดอร์นี้' };
+    if (targets.some(i => i.status === 'CANCELLED')) return { status: 409, error: 'รายการนี้ถูกยกเลิกแล้ว' };
+  } else {
+    targets = current.items.filter(i => i.status !== 'CANCELLED');
+    if (!targets.length) return { order: current };
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { _id: current._id },
+    { $set: itemStatusUpdate(status) },
+    { arrayFilters: [{ 'i._id': { $in: targets.map(i => i._id) } }], new: true }
+  );
+  await syncOrderItems(order, targets);
+  return { order };
+}
+
+// หลังเปลี่ยนรายการ: คำนวณสถานะ/ยอดออเดอร์ใหม่ (ยกเลิกรายการแล้วยอดลดตาม) แล้วแจ้งหน้าร้าน + โต๊ะ
+async function syncOrderItems(order, changedItems) {
+  const derived = { status: deriveOrderStatus(order.items), ...orderTotals(order.items) };
+  if (Object.keys(derived).some(k => order[k] !== derived[k])) {
+    order.set(derived);
+    await Order.updateOne({ _id: order._id }, { $set: derived });
+  }
+
+  // แจ้งทีละรายการ ให้หน้าร้านรู้ว่ายังขาดอะไร แล้วค่อยแจ้งสถานะรวมของออเดอร์
+  const ids = new Set(changedItems.map(i => String(i._id)));
+  for (const item of order.items) {
+    if (ids.has(String(item._id))) toStaffAndTable(order.table).emit('order-item-updated', toItemEvent(order, item));
+  }
+  toStaffAndTable(order.table).emit('order-updated', { orderId: order.orderId, table: order.table, status: order.status });
+}
+
+/**
+ * พนักงานแก้ออเดอร์ที่ส่งแล้ว: เปลี่ยนจำนวน / ยกเลิกรายการ / ยกเลิกทั้งออเดอร์ (services/orderAmend.js)
+ * สต็อกตัดเพิ่ม/คืนตามส่วนต่าง และพิมพ์ใบแก้ไขไปสถานีของรายการที่เปลี่ยน
+ * @returns {Promise<{ order } | { status, error }>}
+ */
+async function amendOrder(orderId, change, { by }) {
+  const current = await Order.findOne({ orderId });
+  if (!current) return { status: 404, error: 'Order not found' };
+  if (current.billId) return { status: 409, error: 'ออเดอร์นี้ปิดบิลแล้ว แก้ไขไม่ได้' };
+
+  const { changes, reason, error } = planAmendment(current.items, change);
+  if (error) return { status: 400, error };
+
+  const more = changes.filter(c => c.line.itemId && c.toQty > c.fromQty)
+    .map(c => ({ itemId: c.line.itemId, name: c.line.name, qty: c.toQty - c.fromQty }));
+  const { reserved, error: stockError } = await reserveStock(more);
+  if (stockError) return { status: 409, error: stockError };
+
+  const at = new Date();
+  const $set = {};
+  const arrayFilters = changes.map((c, n) => {
+    if (c.toQty === 0) Object.assign($set, itemStatusUpdate('CANCELLED', `c${n}`, at));
+    else $set[`items.$[c${n}].qty`] = c.toQty;
+    return { [`c${n}._id`]: c.line._id };
+  });
+  // รายการต้องยังเป็นจำนวน/สถานะเดิม กันแก้ซ้อนจากสองเครื่อง
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: current._id,
+      billId: null,
+      $and: changes.map(c => ({ items: { $elemMatch: { _id: c.line._id, qty: c.fromQty, status: { $ne: 'CANCELLED' } } } }))
+    },
+    { $set, $push: { amendments: { $each: amendmentRecords(change.action, changes, { reason, by, at }) } } },
+    { arrayFilters, new: true }
+  );
+  if (!order) {
+    await releaseStock(reserved);
+    return { status: 409, error: 'ออเดอร์ถูกแก้ไขหรือปิดบิลไปก่อนแล้ว กรุณาโหลดใหม่' };
+  }
+
+  const released = new Map();
+  for (const c of changes) {
+    if (c.line.itemId && c.toQty < c.fromQty) {
+      released.set(String(c.line.itemId), (released.get(String(c.line.itemId)) || 0) + c.fromQty - c.toQty);
+    }
+  }
+  await releaseStock(released);
+  if (reserved.size || released.size) emitMenuUpdated();
+
+  await syncOrderItems(order, changes.map(c => c.line));
+  await queueKitchenTickets(order, { kind: change.action === 'QTY' ? 'AMEND' : 'VOID', items: amendmentTicketItems(changes), reason });
+  return { order };
+}
+
+// Update order status (ทุกรายการในออเดอร์)
+app.patch('/api/orders/:orderId', requireRole(), async (req, res) => {
+  try {
+    const { order, status, error } = await updateItemStatuses(req.params.orderId, null, req.body.status);
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order });
+  } catch (error) {
+    console.error('Order update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update several items at once (เช่น จอครัวของสถานีเดียวกด "พร้อมเสิร์ฟ")
+app.patch('/api/orders/:orderId/items', requireRole(), async (req, res) => {
+  try {
+    const { itemIds, status: next } = req.body;
+    const { order, status, error } = await updateItemStatuses(req.params.orderId, itemIds || [], next);
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order });
+  } catch (error) {
+    console.error('Order items update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/orders/:orderId/items/:itemId', requireRole(), async (req, res) => {
+  try {
+    const { order, status, error } = await updateItemStatuses(req.params.orderId, [req.params.itemId], req.body.status);
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order, item: order.items.id(req.params.itemId) });
+  } catch (error) {
+    console.error('Order item update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Staff amendments (หน้าร้าน/แคชเชียร์) - ทุกครั้งบันทึกใน order.amendments
+app.post('/api/orders/:orderId/items/:itemId/qty', requireRole('cashier'), async (req, res) => {
+  try {
+    const { order, status, error } = await amendOrder(req.params.orderId,
+      { action: 'QTY', itemId: req.params.itemId, qty: req.body.qty, reason: req.body.reason }, { by: req.user.username });
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order });
+  } catch (error) {
+    console.error('Order amend error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/orders/:orderId/items/:itemId/void', requireRole('cashier'), async (req, res) => {
+  try {
+    const { order, status, error } = await amendOrder(req.params.orderId,
+      { action: 'VOID', itemId: req.params.itemId, reason: req.body.reason }, { by: req.user.username });
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order });
+  } catch (error) {
+    console.error('Order void error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/orders/:orderId/cancel', requireRole('cashier'), async (req, res) => {
+  try {
+    const { order, status, error } = await amendOrder(req.params.orderId,
+      { action: 'CANCEL', reason: req.body.reason }, { by: req.user.username });
+    if (!order) return res.status(status).json({ error });
+    res.json({ ok: true, order });
+  } catch (error) {
+    console.error('Order cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Kitchen display: active orders, optionally only the items routed to one station
+app.get('/api/kds', requireRole(), async (req, res) => {
+  try {
+    const { station } = req.query;
+    const since = new Date(Date.now() - 12 * 60 * 60 * 1000);
+    const [{ stations, stationOf }, orders] = await Promise.all([
+      loadStationRouter(),
+      Order.find({ status: { $in: ['NEW', 'PREPARING', 'READY'] }, createdAt: { $gte: since } }).sort({ createdAt: 1 })
+    ]);
+
+    const tickets = [];
+    for (const o of orders) {
+      // เฉพาะรายการที่ครัวยังต้องทำ/ยังไม่เสิร์ฟ สถานะของใบคิดจากรายการของสถานีนี้
+      const items = o.items.filter(i => !['SERVED', 'CANCELLED'].includes(i.status) && (!station || stationOf(i) === station));
+      if (!items.length) continue;
+      tickets.push({ orderId: o.orderId, orderNo: orderLabel(o), table: o.table, note: o.note, status: deriveOrderStatus(items), items, ts: o.createdAt });
+    }
+    res.json({ stations, orders: tickets });
+  } catch (error) {
+    console.error('KDS fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve admin page
+app.get('/admin/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public/admin.html'));
+});
 
 // Serve customer page
 app.get('/', (req, res) => {
@@ -434,17 +2054,26 @@ app.get('/', (req, res) => {
 // Initialize database and start server
 async function startServer() {
   try {
+    checkSecrets();
+
     // Connect to MongoDB
     await database.connect();
     
     // Initialize default data if needed
     await database.initializeDefaultData();
+    await ensureOwnerAccount();
+
+    // Start the print queue worker (needs the DB connection)
+    printQueue.start({ io, resolvePrinter });
+    cleanupOrphanImages();
+    setInterval(cleanupOrphanImages, IMAGE_GC_INTERVAL_MS).unref();
     
     // Start the server
     server.listen(PORT, () => {
       console.log(`🍲 Shabu System running on http://localhost:${PORT}`);
       console.log(`📱 Customer: http://localhost:${PORT}`);
       console.log(`⚙️  Admin: http://localhost:${PORT}/admin/`);
+      console.log(`🍳 Kitchen display: http://localhost:${PORT}/kds/`);
       console.log(`🏥 Health: http://localhost:${PORT}/api/health`);
     });
     
@@ -466,6 +2095,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🔄 SIGTERM received, shutting down gracefully...');
+  printQueue.stop();
   await database.disconnect();
   server.close(() => {
     console.log('👋 Server closed');
@@ -475,6 +2105,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('🔄 SIGINT received, shutting down gracefully...');
+  printQueue.stop();
   await database.disconnect();
   server.close(() => {
     console.log('👋 Server closed');
@@ -4,47 +4,201 @@ import mongoose from "mongoose";
 /**
  * หมายเหตุสำคัญ:
  * - server.js ใช้ Category.find({active:true}) => ต้องมี field active
- * - server.js ใช้ MenuItem.find(...).map({ name, category, image, price, description }) => ต้องมี field พวกนี้
- * - server.js เก็บ Order เป็นโครงสร้างเบา ๆ: orderId, table, items[{ name, qty, category, price }], note/status/printedAt
+ * - หมวด/เมนู/แพ็กเกจอ้างกันด้วย ObjectId (MenuItem.categoryId, BuffetTier.categories/items) ชื่อแก้ได้อิสระ
+ *   ข้อมูลเก่าที่เก็บเป็นชื่อ แปลงด้วย scripts/migrate-ids.js
+ * - server.js เก็บ Order เป็นโครงสร้างเบา ๆ: orderId, table, items[{ _id, itemId, name, qty, categoryId, category, price, status }], note/status/prints
+ *   orderId = id ไม่ซ้ำสำหรับ API, orderNo = เลขสั้นเรียงรายวันสำหรับใบครัว/หน้าจอ (services/orderNumber.js)
+ *   ฐานข้อมูลเดิมที่ orderId ซ้ำ/index ไม่ unique แก้ด้วย scripts/migrate-order-numbers.js
  *   และใช้ createdAt ในการ sort => เปิด timestamps
  */
 
+// พนักงานที่เข้าหน้าหลังบ้านได้ (services/auth.js) - owner ทำได้ทุกอย่าง
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true }, // scrypt$salt$hash
+    displayName: { type: String, default: "" },
+    role: { type: String, enum: ["owner", "cashier", "kitchen"], default: "kitchen" },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// เครื่องพิมพ์ที่ลงทะเบียนไว้ (จัดการจากหน้าหลังบ้าน) - driver ดู services/escposPrinter.js
+const printerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true }, // เช่น "ครัวเนื้อ", "บาร์"
+    driver: { type: String, default: "epson" },                        // epson | xprinter | file
+    host: { type: String, default: "" },
+    port: { type: Number, default: 9100 },
+    encoding: { type: String, default: "cp874" },
+    paperWidth: { type: Number, enum: [58, 80], default: 80 },          // mm
+    emulate: { type: String, default: "epson" },                       // ใช้กับ driver file เท่านั้น
+    enabled: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
 const categorySchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true, index: true },
-    printer: { type: String, enum: ["EPSON", "XPRINTER"], default: "EPSON" },
+    printer: { type: String, default: "" }, // ชื่อ Printer ว่าง = เครื่องแรกที่เปิดใช้
     active: { type: Boolean, default: true },
   },
   { timestamps: true }
 );
 
-// เก็บ category เป็นชื่อ (string) ให้ตรงกับที่ server.js อัปเดตด้วยชื่อ (ไม่ผูก ObjectId)
+// กลุ่มตัวเลือกของเมนู เช่น น้ำซุป / ระดับเผ็ด / ไม่ใส่ผักชี (services/modifiers.js)
+const modifierOptionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 }, // บวกเพิ่มจากราคาเมนู (ติดลบได้)
+  },
+  { _id: false }
+);
+
+const modifierGroupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    required: { type: Boolean, default: false },
+    maxSelect: { type: Number, default: 1, min: 0 }, // 0 = ไม่จำกัด
+    options: { type: [modifierOptionSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const menuItemSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true, index: true },
-    category: { type: String, default: "" }, // ชื่อหมวด เช่น "หมู"
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null, index: true }, // null = ไม่มีหมวด
     image: { type: String, default: "" },    // path '/uploads/xxx.png'
     price: { type: Number, default: 0 },
     description: { type: String, default: "" },
+    modifiers: { type: [modifierGroupSchema], default: [] },
     active: { type: Boolean, default: true },
+    available: { type: Boolean, default: true }, // false = หมด (ยังแสดงในเมนู) - services/stock.js
+    stock: { type: Number, default: null, min: 0 }, // null = ไม่นับสต็อก
   },
   { timestamps: true }
 );
 
+// แพ็กเกจบุฟเฟ่ต์: ราคาต่อหัว + เวลา + หมวด/เมนูที่สั่งได้ (services/buffet.js)
+const buffetTierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true }, // เช่น "Premium 499"
+    pricePerHead: { type: Number, default: 0, min: 0 },
+    durationMin: { type: Number, default: 90, min: 1 },
+    lastOrderMin: { type: Number, default: 15, min: 0 }, // ปิดรับออเดอร์ก่อนหมดเวลากี่นาที
+    categories: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }], default: [] }, // หมวดที่สั่งได้ทั้งหมวด
+    items: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }], default: [] },      // เมนูที่สั่งได้เพิ่มจากหมวดข้างบน
+    // กันสั่งทิ้ง (ต่อรอบ, 0 = ไม่จำกัด)
+    maxQtyPerItem: { type: Number, default: 0, min: 0 },  // จานต่อเมนู
+    maxItemsPerHead: { type: Number, default: 0, min: 0 }, // จานรวม = ค่านี้ x จำนวนคน
+    roundCooldownMin: { type: Number, default: 0, min: 0 }, // เว้นระยะระหว่างรอบ (นาที)
+    description: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// แต่ละรายการมี _id + สถานะของตัวเอง (services/orderStatus.js) - order.status คำนวณจากรายการ
 const orderItemSchema = new mongoose.Schema(
   {
-    name: { type: String, required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem", default: null },
+    name: { type: String, required: true }, // snapshot ชื่อเมนูตอนสั่ง
     qty: { type: Number, default: 1 },
-    category: { type: String, default: "" }, // ชื่อหมวด
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null }, // ใช้เลือกเครื่องพิมพ์
+    category: { type: String, default: "" }, // snapshot ชื่อหมวด
     price: { type: Number, default: 0 },
+    buffet: { type: Boolean, default: false }, // อยู่ในแพ็กเกจบุฟเฟ่ต์ = ไม่คิดเงินรายจาน
+    modifiers: {
+      type: [{ group: String, option: String, priceDelta: { type: Number, default: 0 }, _id: false }],
+      default: [],
+    },
+    note: { type: String, default: "" }, // หมายเหตุเฉพาะรายการ
+    status: {
+      type: String,
+      enum: ["NEW", "PREPARING", "READY", "SERVED", "CANCELLED"],
+      default: "NEW",
+    },
+    preparingAt: { type: Date },
+    readyAt: { type: Date },
+    servedAt: { type: Date },
+    cancelledAt: { type: Date },
+  }
+);
+
+// เวลาที่พิมพ์สำเร็จ แยกต่อเครื่องพิมพ์ (แทน printedAt เดี่ยวแบบเดิม)
+const orderPrintSchema = new mongoose.Schema(
+  {
+    printer: { type: String, required: true },
+    printedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// รอบการนั่งของลูกค้า 1 กลุ่ม: เปิดโดยพนักงาน ปิดตอนชำระเงิน
+const tableSessionSchema = new mongoose.Schema(
+  {
+    table: { type: String, required: true, trim: true },
+    partySize: { type: Number, default: 1, min: 1 },
+    status: { type: String, enum: ["OPEN", "CLOSED"], default: "OPEN", index: true },
+    buffetTier: { type: String, default: "" }, // ชื่อ BuffetTier (ว่าง = สั่งตามเมนู)
+    // snapshot ตอนเลือกแพ็กเกจ: แก้ราคา/เวลาแพ็กเกจทีหลังไม่กระทบโต๊ะที่นั่งอยู่
+    buffetPricePerHead: { type: Number, default: 0 },
+    buffetEndsAt: { type: Date },
+    lastOrderAt: { type: Date },
+    lastRoundAt: { type: Date }, // เวลาที่ส่งออเดอร์รอบล่าสุด (ใช้กับ roundCooldownMin)
+    // จัดโต๊ะ: หม้อ + น้ำซุป + ชุดพื้นฐาน (services/tableSetup.js) ยังไม่เลือก = null
+    setup: {
+      type: new mongoose.Schema(
+        {
+          pot: { type: String, enum: ["single", "split"], required: true },
+          broths: { type: [String], default: [] },
+          items: { type: [String], default: [] },
+          setAt: { type: Date, default: Date.now },
+          setBy: { type: String, default: "" }, // "customer" หรือ username พนักงาน
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    openedAt: { type: Date, default: Date.now },
+    closedAt: { type: Date },
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill", default: null },
+    // รวมโต๊ะ: session นี้ถูกปิดแล้วรวมเข้า session ไหน (QR เดิมของลูกค้าใช้ต่อที่ session นั้น)
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null },
+  },
+  { timestamps: true }
+);
+// 1 โต๊ะเปิดได้ทีละ session
+tableSessionSchema.index({ table: 1 }, { unique: true, partialFilterExpression: { status: "OPEN" } });
+
+// ประวัติการแก้ออเดอร์โดยพนักงาน (services/orderAmend.js) toQty 0 = ยกเลิกรายการ
+const orderAmendmentSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["QTY", "VOID", "CANCEL"], required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId }, // _id ของบรรทัดใน order.items
+    name: { type: String, default: "" },
+    fromQty: { type: Number, default: 0 },
+    toQty: { type: Number, default: 0 },
+    reason: { type: String, default: "" },
+    by: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
   },
   { _id: false }
 );
 
 const orderSchema = new mongoose.Schema(
   {
-    orderId: { type: String, required: true, index: true }, // ใช้ Date.now().slice(-6) ใน server.js
+    orderId: { type: String, required: true, unique: true }, // UUID ใช้ใน API/URL
+    orderNo: { type: Number },      // เลขออเดอร์ประจำวัน 1, 2, 3, ... (เริ่มใหม่ทุกวัน)
+    businessDate: { type: String }, // "YYYY-MM-DD" ตามเวลาร้าน ที่ orderNo นับอยู่
     table: { type: String, default: "" },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null, index: true },
+    idempotencyKey: { type: String }, // key จาก client กันส่งซ้ำ (ไม่ซ้ำภายใน session)
+    ticketsQueued: { type: Boolean },  // ส่งใบครัวเข้าคิวแล้ว (false = ต้องส่งใหม่ตอนส่งซ้ำ; services/orderSubmit.js)
+    createdBy: { type: String, default: "customer" }, // "customer" หรือ username ของพนักงานที่สั่งแทน
     items: { type: [orderItemSchema], default: [] },
     note: { type: String, default: "" },
     status: {
@@ -52,18 +206,139 @@ const orderSchema = new mongoose.Schema(
       enum: ["NEW", "PREPARING", "READY", "SERVED", "CANCELLED"],
       default: "NEW",
       index: true,
+    }, // = deriveOrderStatus(items)
+    prints: { type: [orderPrintSchema], default: [] },
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill", default: null, index: true }, // ปิดบิลแล้ว
+    totalItems: { type: Number, default: 0 },  // จำนวนจาน (ไม่นับที่ยกเลิก) - billing.orderTotals
+    totalAmount: { type: Number, default: 0 }, // ยอดตามราคาที่บันทึกในบรรทัด (บุฟเฟ่ต์ = 0)
+    amendments: { type: [orderAmendmentSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ businessDate: 1, orderNo: 1 }, { unique: true, partialFilterExpression: { orderNo: { $type: "number" } } });
+orderSchema.index({ sessionId: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } });
+
+// บิลตอนเช็คบิล/ปิดโต๊ะ - snapshot ราคาและยอด ณ เวลาปิด (services/billing.js)
+const billLineSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    qty: { type: Number, default: 1 },
+    unitPrice: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// แยกบิล: 1 ส่วน = ยอดที่ 1 คน/กลุ่มจ่าย (services/payments.js splitBill) items ว่าง = หารตามยอด
+const billSplitSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "" },
+    amount: { type: Number, default: 0 },
+    items: {
+      type: [{ line: Number, name: String, qty: Number, amount: Number, _id: false }],
+      default: [],
     },
-    printedAt: { type: Date },
-    totalItems: { type: Number },  // server.js แค่อ่าน map; ไม่คำนวณก็ไม่เป็นไร
-    totalAmount: { type: Number }, // idem
+  },
+  { _id: false }
+);
+
+const billSchema = new mongoose.Schema(
+  {
+    billNo: { type: String, required: true, index: true },
+    table: { type: String, default: "", index: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null },
+    orderIds: { type: [String], default: [] },
+    lines: { type: [billLineSchema], default: [] },
+    subtotal: { type: Number, default: 0 },
+    serviceChargeRate: { type: Number, default: 0 }, // %
+    serviceCharge: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },           // %
+    vat: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    printer: { type: String, default: "" },
+    // รับชำระ: paid = ยอดรับสุทธิ (หักคืนเงินแล้ว) อัปเดตแบบ atomic คู่กับ Payment
+    status: { type: String, enum: ["OPEN", "PAID"], default: "OPEN", index: true },
+    paid: { type: Number, default: 0 },
+    paidAt: { type: Date },
+    splits: { type: [billSplitSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+// รับชำระ/คืนเงิน 1 ครั้ง (เงินสด / บัตร / พร้อมเพย์) บิลเดียวมีได้หลายรายการ
+const paymentSchema = new mongoose.Schema(
+  {
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: "Bill", required: true, index: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession", default: null, index: true },
+    table: { type: String, default: "" },
+    orderIds: { type: [String], default: [] },
+    kind: { type: String, enum: ["PAYMENT", "REFUND"], default: "PAYMENT" },
+    method: { type: String, enum: ["CASH", "CARD", "PROMPTPAY"], required: true },
+    amount: { type: Number, required: true, min: 0 }, // เข้าบิลเท่านี้ (คืนเงินก็เก็บเป็นบวก)
+    tendered: { type: Number, default: 0 },           // เงินที่ลูกค้าให้มา (เงินสด)
+    change: { type: Number, default: 0 },             // เงินทอน
+    split: { type: Number, default: null },           // index ใน Bill.splits (null = ไม่ได้แยกบิล)
+    reference: { type: String, default: "" },         // เลขอ้างอิงสลิป/บัตร
+    reason: { type: String, default: "" },            // เหตุผลคืนเงิน
+    by: { type: String, default: "" },
   },
   { timestamps: true }
 );
 
+// ตั้งค่าร้าน key/value (restaurant_name, tax_rate, service_charge, receipt_footer, ...)
+const settingsSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    description: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// คิวงานพิมพ์ (services/printQueue.js) - ค้างในฐานข้อมูลจนกว่าจะพิมพ์สำเร็จหรือ retry ครบ
+const printJobSchema = new mongoose.Schema(
+  {
+    orderId: { type: String, default: "", index: true },
+    printer: { type: String, required: true },
+    kind: { type: String, default: "KITCHEN" }, // KITCHEN, REPRINT, AMEND, VOID, SETUP, MOVE, ...
+    title: { type: String, default: "" },
+    lines: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    state: {
+      type: String,
+      enum: ["queued", "sending", "done", "failed"],
+      default: "queued",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: "" },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+printJobSchema.index({ state: 1, nextAttemptAt: 1 });
+
+// ตัวนับแบบ atomic ($inc) เช่น _id = "order:2024-01-31" (services/orderNumber.js)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
 // กัน overwrite เวลา hot-reload
+export const User      = mongoose.models.User      || mongoose.model("User", userSchema);
+export const Printer   = mongoose.models.Printer   || mongoose.model("Printer", printerSchema);
 export const Category  = mongoose.models.Category  || mongoose.model("Category", categorySchema);
 export const MenuItem  = mongoose.models.MenuItem  || mongoose.model("MenuItem", menuItemSchema);
 export const Item      = MenuItem; // เผื่อโค้ดเดิมบางจุดใช้ Item
+export const BuffetTier = mongoose.models.BuffetTier || mongoose.model("BuffetTier", buffetTierSchema);
+export const TableSession = mongoose.models.TableSession || mongoose.model("TableSession", tableSessionSchema);
 export const Order     = mongoose.models.Order     || mongoose.model("Order", orderSchema);
+export const PrintJob  = mongoose.models.PrintJob  || mongoose.model("PrintJob", printJobSchema);
+export const Bill      = mongoose.models.Bill      || mongoose.model("Bill", billSchema);
+export const Payment   = mongoose.models.Payment   || mongoose.model("Payment", paymentSchema);
+export const Settings  = mongoose.models.Settings  || mongoose.model("Settings", settingsSchema);
+export const Counter   = mongoose.models.Counter   || mongoose.model("Counter", counterSchema);
 
-export default { Category, MenuItem, Item, Order };
+export default { User, Printer, Category, MenuItem, Item, BuffetTier, TableSession, Order, PrintJob, Bill, Payment, Settings, Counter };
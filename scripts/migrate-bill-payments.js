@@ -0,0 +1,36 @@
+// scripts/migrate-bill-payments.js - mark bills made before payments were recorded as paid
+//   node scripts/migrate-bill-payments.js
+// รันซ้ำได้: บิลที่มี status แล้วจะไม่ถูกแตะ
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shabu-order';
+
+async function migrate() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    // บิลเก่า: เช็คบิล = ปิดโต๊ะ = จ่ายแล้ว (ไม่มีรายการรับชำระย้อนหลัง)
+    console.log('💵 Legacy bills...');
+    const bills = mongoose.connection.db.collection('bills');
+    const result = await bills.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'PAID', paid: '$total', paidAt: '$createdAt', splits: [] } }]
+    );
+    console.log(`  ✓ Marked ${result.modifiedCount} bills as paid`);
+
+    console.log('🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+}
+
+migrate();
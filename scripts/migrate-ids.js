@@ -0,0 +1,99 @@
+// scripts/migrate-ids.js - move category/item references from names to _id
+//   node scripts/migrate-ids.js
+// รันซ้ำได้: ข้ามเอกสารที่แปลงแล้ว
+import { pathToFileURL } from 'url';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shabu-order';
+
+// menuitems.category (ชื่อ) -> categoryId (categoryId ที่มีอยู่แล้วไม่ทับ) หาหมวดไม่พบ = ไม่มีหมวด
+export function menuItemUpdate(item, categoryId) {
+  const id = categoryId.get(item.category) ?? null;
+  if (item.category && !id) console.log(`  ⚠ ${item.name}: ไม่พบหมวด "${item.category}" (ตั้งเป็นไม่มีหมวด)`);
+  return { $set: { categoryId: item.categoryId ?? id }, $unset: { category: '' } };
+}
+
+// ชื่อ -> _id ของแพ็กเกจบุฟเฟ่ต์ (ObjectId เดิมคงไว้) ชื่อที่หาไม่พบตัดออก
+export const toIds = (values, lookup, label, tier) => values.flatMap(v => {
+  if (v instanceof mongoose.Types.ObjectId) return [v];
+  if (lookup.has(v)) return [lookup.get(v)];
+  console.log(`  ⚠ ${tier}: ไม่พบ${label} "${v}" (ตัดออก)`);
+  return [];
+});
+
+// orders.items: เติม itemId/categoryId จากชื่อ (ชื่อเดิมเก็บไว้เป็น snapshot)
+export const orderLines = (items, itemId, categoryId) => items.map(line => ({
+  ...line,
+  itemId: line.itemId ?? itemId.get(line.name) ?? null,
+  categoryId: line.categoryId ?? categoryId.get(line.category) ?? null
+}));
+
+async function migrate() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    const db = mongoose.connection.db;
+    const categoryId = new Map((await db.collection('categories').find().toArray()).map(c => [c.name, c._id]));
+
+    // 1) menuitems.category (ชื่อ) -> categoryId
+    console.log('📦 Menu items...');
+    const items = await db.collection('menuitems').find({ category: { $exists: true } }).toArray();
+    for (const item of items) {
+      await db.collection('menuitems').updateOne({ _id: item._id }, menuItemUpdate(item, categoryId));
+    }
+    console.log(`  ✓ Migrated ${items.length} menu items`);
+
+    try {
+      await db.collection('menuitems').dropIndex('category_1');
+      console.log('  ✓ Dropped index menuitems.category_1');
+    } catch {
+      // ไม่มี index เดิม
+    }
+    await db.collection('menuitems').createIndex({ categoryId: 1 });
+
+    const itemId = new Map((await db.collection('menuitems').find().toArray()).map(i => [i.name, i._id]));
+
+    // 2) buffettiers.categories / items (ชื่อ) -> _id
+    console.log('🍲 Buffet tiers...');
+    let tierCount = 0;
+    for (const tier of await db.collection('buffettiers').find().toArray()) {
+      const categories = tier.categories || [];
+      const tierItems = tier.items || [];
+      if ([...categories, ...tierItems].every(v => v instanceof mongoose.Types.ObjectId)) continue;
+      await db.collection('buffettiers').updateOne({ _id: tier._id }, {
+        $set: {
+          categories: toIds(categories, categoryId, 'หมวด', tier.name),
+          items: toIds(tierItems, itemId, 'เมนู', tier.name)
+        }
+      });
+      tierCount++;
+    }
+    console.log(`  ✓ Migrated ${tierCount} buffet tiers`);
+
+    // 3) orders.items: เติม itemId/categoryId จากชื่อ
+    console.log('🧾 Orders...');
+    let orderCount = 0;
+    const orders = db.collection('orders').find({ 'items.itemId': { $exists: false } });
+    for await (const order of orders) {
+      await db.collection('orders').updateOne({ _id: order._id }, { $set: { items: orderLines(order.items, itemId, categoryId) } });
+      orderCount++;
+    }
+    console.log(`  ✓ Migrated ${orderCount} orders`);
+
+    console.log('🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+}
+
+// import จาก test ได้โดยไม่ต่อ DB
+if (import.meta.url === pathToFileURL(process.argv[1]).href) migrate();
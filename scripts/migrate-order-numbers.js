@@ -0,0 +1,60 @@
+// scripts/migrate-order-numbers.js - make orders.orderId unique (old ids were Date.now().slice(-6))
+//   node scripts/migrate-order-numbers.js
+// รันซ้ำได้: ไม่มี orderId ซ้ำและ index เป็น unique แล้วจะไม่เปลี่ยนอะไร
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shabu-order';
+
+async function migrate() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    const db = mongoose.connection.db;
+    const orders = db.collection('orders');
+
+    // 1) orderId ซ้ำ: ตัวแรกคงเดิม ตัวถัดไปต่อท้าย -2, -3, ...
+    //    PrintJob.orderId / Bill.orderIds ไม่เปลี่ยนตาม (แยกไม่ได้ว่าอ้างออเดอร์ตัวไหนในกลุ่มที่ซ้ำ)
+    console.log('🧾 Duplicate order ids...');
+    const duplicates = await orders.aggregate([
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$orderId', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+    let renamed = 0;
+    for (const dup of duplicates) {
+      for (const [i, _id] of dup.ids.slice(1).entries()) {
+        const orderId = `${dup._id}-${i + 2}`;
+        await orders.updateOne({ _id }, { $set: { orderId } });
+        console.log(`  ✓ ${dup._id} -> ${orderId}`);
+        renamed++;
+      }
+    }
+    console.log(`  ✓ Renamed ${renamed} orders`);
+    if (renamed) console.log('  ⚠ งานพิมพ์/บิลเก่าของออเดอร์ที่เปลี่ยนชื่อยังอ้างเลขเดิม (ดูจากเวลาได้)');
+
+    // 2) index เดิมไม่ unique: ลบแล้วสร้างใหม่
+    const indexes = await orders.indexes();
+    const current = indexes.find(ix => ix.name === 'orderId_1');
+    if (current && !current.unique) {
+      await orders.dropIndex('orderId_1');
+      console.log('  ✓ Dropped non-unique index orders.orderId_1');
+    }
+    await orders.createIndex({ orderId: 1 }, { unique: true });
+    console.log('  ✓ Index created for orders: {"orderId":1} (unique)');
+
+    console.log('🎉 Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+}
+
+migrate();
@@ -0,0 +1,47 @@
+// scripts/process-images.js - resize menu images uploaded before the image pipeline
+//   node scripts/process-images.js
+// รันซ้ำได้: เมนูที่รูปผ่าน pipeline แล้วจะถูกข้าม
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { processImage, imageVariants, removeImage } from '../services/images.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shabu-order';
+const uploadsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../public/uploads');
+
+async function processLegacyImages() {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB successfully');
+
+    const items = mongoose.connection.db.collection('menuitems');
+    let count = 0;
+    for (const item of await items.find({ image: { $regex: '^/uploads/' } }).toArray()) {
+      if (imageVariants(item.image).webpSrcset) continue;
+      try {
+        const buffer = await fs.readFile(path.join(uploadsDir, path.basename(item.image)));
+        const image = await processImage(buffer, uploadsDir);
+        await items.updateOne({ _id: item._id }, { $set: { image } });
+        await removeImage(uploadsDir, item.image);
+        console.log(`  ✓ ${item.name}: ${item.image} -> ${image}`);
+        count++;
+      } catch (error) {
+        console.log(`  ⚠ ${item.name}: ${error.message}`);
+      }
+    }
+    console.log(`🎉 Processed ${count} menu images`);
+  } catch (error) {
+    console.error('❌ Image processing failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+}
+
+processLegacyImages();
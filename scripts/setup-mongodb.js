@@ -18,21 +18,39 @@ async function setupDatabase() {
     console.log('📊 Creating database indexes...');
     
     const collections = {
+      users: [
+        { username: 1, unique: true }
+      ],
+      printers: [
+        { name: 1, unique: true }
+      ],
       categories: [
         { name: 1, unique: true },
         { active: 1 }
       ],
       menuitems: [
         { name: 1, unique: true },
-        { category: 1 },
+        { categoryId: 1 },
         { active: 1 }
       ],
+      buffettiers: [
+        { name: 1, unique: true }
+      ],
+      tablesessions: [
+        // โต๊ะหนึ่งเปิดได้ทีละ session (ตรงกับ tableSessionSchema)
+        { table: 1, unique: true, partialFilterExpression: { status: 'OPEN' } },
+        { status: 1 }
+      ],
       orders: [
         { orderId: 1, unique: true },
         { status: 1 },
         { createdAt: -1 },
         { table: 1 },
-        { 'items.category': 1 }
+        { sessionId: 1 },
+        { 'items.categoryId': 1 },
+        // เลขออเดอร์ประจำวัน และ Idempotency-Key ต่อ session ห้ามซ้ำ (ตรงกับ orderSchema)
+        { businessDate: 1, orderNo: 1, unique: true, partialFilterExpression: { orderNo: { $type: 'number' } } },
+        { sessionId: 1, idempotencyKey: 1, unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
       ]
     };
 
@@ -41,11 +59,14 @@ async function setupDatabase() {
       
       for (const index of indexes) {
         const isUnique = index.unique;
+        const { partialFilterExpression } = index;
         delete index.unique;
+        delete index.partialFilterExpression;
         
         try {
           await collection.createIndex(index, { 
             unique: isUnique || false,
+            ...(partialFilterExpression && { partialFilterExpression }),
             background: true 
           });
           
@@ -75,23 +96,24 @@ async function setupDatabase() {
         { name: 'เครื่องดื่ม', printer: 'XPRINTER', active: true, createdAt: new Date(), updatedAt: new Date() }
       ];
       
-      await db.collection('categories').insertMany(categories);
+      const { insertedIds } = await db.collection('categories').insertMany(categories);
+      const categoryId = Object.fromEntries(categories.map((c, i) => [c.name, insertedIds[i]]));
       console.log(`  ✓ Inserted ${categories.length} categories`);
 
       // Insert menu items
       const menuItems = [
-        { name: 'เนื้อออสเตรเลีย', category: 'เนื้อสัตว์', price: 120, description: 'เนื้อออสเตรเลียสด คุณภาพพรีเมียม', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'หมูสไลซ์', category: 'เนื้อสัตว์', price: 80, description: 'หมูสไลซ์สด หั่นบาง', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'เนื้อวากิว', category: 'เนื้อสัตว์', price: 250, description: 'เนื้อวากิวพรีเมียม นำเข้าจากญี่ปุ่น', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'กุ้งสด', category: 'อาหารทะเล', price: 150, description: 'กุ้งแม่น้ำสด ขนาดใหญ่', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'ปลาหมึก', category: 'อาหารทะเล', price: 100, description: 'ปลาหมึกสด หั่นวง', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'หอยเชลล์', category: 'อาหารทะเล', price: 120, description: 'หอยเชลล์นิวซีแลนด์', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'ผักบุ้งจีน', category: 'ผัก', price: 30, description: 'ผักบุ้งจีนสด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'กะหล่ำปลี', category: 'ผัก', price: 25, description: 'กะหล่ำปลีสด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'เห็ดเข็มทิพย์', category: 'ผัก', price: 40, description: 'เห็ดเข็มทิพย์สด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'น้ำเปล่า', category: 'เครื่องดื่ม', price: 10, description: 'น้ำดื่มบริสุทธิ์', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'โค้ก', category: 'เครื่องดื่ม', price: 25, description: 'โคคา-โคลา', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
-        { name: 'น้ำส้ม', category: 'เครื่องดื่ม', price: 30, description: 'น้ำส้มสด 100%', image: '', active: true, createdAt: new Date(), updatedAt: new Date() }
+        { name: 'เนื้อออสเตรเลีย', categoryId: categoryId['เนื้อสัตว์'], price: 120, description: 'เนื้อออสเตรเลียสด คุณภาพพรีเมียม', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'หมูสไลซ์', categoryId: categoryId['เนื้อสัตว์'], price: 80, description: 'หมูสไลซ์สด หั่นบาง', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'เนื้อวากิว', categoryId: categoryId['เนื้อสัตว์'], price: 250, description: 'เนื้อวากิวพรีเมียม นำเข้าจากญี่ปุ่น', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'กุ้งสด', categoryId: categoryId['อาหารทะเล'], price: 150, description: 'กุ้งแม่น้ำสด ขนาดใหญ่', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'ปลาหมึก', categoryId: categoryId['อาหารทะเล'], price: 100, description: 'ปลาหมึกสด หั่นวง', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'หอยเชลล์', categoryId: categoryId['อาหารทะเล'], price: 120, description: 'หอยเชลล์นิวซีแลนด์', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'ผักบุ้งจีน', categoryId: categoryId['ผัก'], price: 30, description: 'ผักบุ้งจีนสด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'กะหล่ำปลี', categoryId: categoryId['ผัก'], price: 25, description: 'กะหล่ำปลีสด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'เห็ดเข็มทิพย์', categoryId: categoryId['ผัก'], price: 40, description: 'เห็ดเข็มทิพย์สด', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'น้ำเปล่า', categoryId: categoryId['เครื่องดื่ม'], price: 10, description: 'น้ำดื่มบริสุทธิ์', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'โค้ก', categoryId: categoryId['เครื่องดื่ม'], price: 25, description: 'โคคา-โคลา', image: '', active: true, createdAt: new Date(), updatedAt: new Date() },
+        { name: 'น้ำส้ม', categoryId: categoryId['เครื่องดื่ม'], price: 30, description: 'น้ำส้มสด 100%', image: '', active: true, createdAt: new Date(), updatedAt: new Date() }
       ];
       
       await db.collection('menuitems').insertMany(menuItems);
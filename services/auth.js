@@ -0,0 +1,152 @@
+// services/auth.js - staff login (JWT in an httpOnly cookie) and role checks (ESM)
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - role: owner (ทุกอย่าง) / cashier (เปิดโต๊ะ เช็คบิล QR) / kitchen (ดู+อัปเดตออเดอร์ งานพิมพ์)
+ * - รหัสผ่านเก็บเป็น scrypt$salt$hash
+ * - token อ่านจาก cookie shabu_auth หรือ header Authorization: Bearer ...
+ * - Socket.IO: staff เข้า room "staff" และ "role:<role>" ส่วนลูกค้าเข้า room ของโต๊ะ (services/tableToken.js)
+ *   event บิล/ชำระเงิน/โต๊ะ ส่งเฉพาะ role:cashier + role:owner (จอครัวไม่ได้รับ)
+ */
+
+export const ROLES = ['owner', 'cashier', 'kitchen'];
+export const AUTH_COOKIE = 'shabu_auth';
+export const roleRoom = (role) => `role:${role}`;
+const TOKEN_TTL_SEC = 12 * 60 * 60;
+
+// ค่าตัวอย่างใน .env.example ห้ามใช้จริง (ใครก็ปลอม token พนักงาน/QR โต๊ะได้)
+const EXAMPLE_SECRETS = ['your-super-secret-key-here', 'another-long-random-string'];
+
+/**
+ * ตรวจ secret ก่อน start: ยังเป็นค่าตัวอย่างอยู่ = ไม่ให้ start
+ * @throws {Error}
+ */
+export function checkSecrets(env = process.env) {
+  for (const name of ['JWT_SECRET', 'TABLE_TOKEN_SECRET']) {
+    if (EXAMPLE_SECRETS.includes(env[name])) throw new Error(`${name} is still the example value from .env.example: set a long random secret`);
+  }
+}
+
+let SECRET = process.env.JWT_SECRET;
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET not set: staff will be logged out on every restart');
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function signAuthToken(user) {
+  return jwt.sign({ sub: String(user._id), role: user.role }, SECRET, { expiresIn: TOKEN_TTL_SEC });
+}
+
+export function toUserJSON(u) {
+  return {
+    id: String(u._id),
+    username: u.username,
+    displayName: u.displayName,
+    role: u.role,
+    active: u.active
+  };
+}
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function tokenFromHeaders(headers = {}) {
+  const auth = headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7);
+  return parseCookies(headers.cookie)[AUTH_COOKIE] || null;
+}
+
+// token -> User ที่ยัง active (โหลดจาก DB ทุกครั้งเพื่อให้ปิดบัญชี/เปลี่ยน role มีผลทันที)
+export async function userFromHeaders(headers) {
+  const token = tokenFromHeaders(headers);
+  if (!token) return null;
+  try {
+    const { sub } = jwt.verify(token, SECRET);
+    return await User.findOne({ _id: sub, active: true });
+  } catch {
+    return null;
+  }
+}
+
+export function hasRole(user, roles) {
+  return !!user && (user.role === 'owner' || roles.includes(user.role));
+}
+
+export function setAuthCookie(res, token) {
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: TOKEN_TTL_SEC * 1000
+  });
+}
+
+export function clearAuthCookie(res) {
+  res.clearCookie(AUTH_COOKIE, { httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production' });
+}
+
+/**
+ * Express middleware: requireRole() = พนักงานทุก role, requireRole('cashier') = cashier + owner
+ */
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await userFromHeaders(req.headers);
+      if (!user) return res.status(401).json({ error: 'กรุณาเข้าสู่ระบบ' });
+      if (roles.length && !hasRole(user, roles)) return res.status(403).json({ error: 'ไม่มีสิทธิ์ใช้งานส่วนนี้' });
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Socket.IO middleware: staff เข้า room ตาม role; ลูกค้า (ไม่มี token) ต่อได้แต่ไม่ได้รับ event ของพนักงาน
+export async function socketAuth(socket, next) {
+  try {
+    const user = await userFromHeaders(socket.handshake.headers);
+    socket.data.user = user ? toUserJSON(user) : null;
+    if (user) socket.join(['staff', roleRoom(user.role)]);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * สร้าง owner คนแรกถ้ายังไม่มีผู้ใช้ (ADMIN_USERNAME / ADMIN_PASSWORD หรือสุ่มรหัสแล้วแสดงใน log ครั้งเดียว)
+ */
+export async function ensureOwnerAccount() {
+  if (await User.countDocuments()) return;
+  const username = process.env.ADMIN_USERNAME || 'owner';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(6).toString('base64url');
+  await User.create({ username, passwordHash: await hashPassword(password), displayName: 'Owner', role: 'owner' });
+  console.log(`👑 Created owner account "${username}"${process.env.ADMIN_PASSWORD ? '' : ` with password: ${password}`}`);
+}
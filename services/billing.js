@@ -0,0 +1,113 @@
+// services/billing.js - bill totals and receipt layout (ESM)
+import { twoColumns, divider, textWidth } from './escposPrinter.js';
+import { modifiersDelta, describeModifiers } from './modifiers.js';
+
+export function roundMoney(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+export function formatMoney(n) {
+  return roundMoney(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * จำนวนจานและยอดของออเดอร์เดียว (Order.totalItems / totalAmount) จากราคาที่บันทึกในบรรทัด ไม่นับรายการที่ยกเลิก
+ * @param {Array} items [{ qty, price, modifiers, status }]
+ */
+export function orderTotals(items = []) {
+  const active = items.filter(i => i.status !== 'CANCELLED');
+  return {
+    totalItems: active.reduce((s, i) => s + (Number(i.qty) || 1), 0),
+    totalAmount: roundMoney(active.reduce((s, i) => s + ((Number(i.price) || 0) + modifiersDelta(i.modifiers)) * (Number(i.qty) || 1), 0)),
+  };
+}
+
+/**
+ * รวมยอดจากหลายออเดอร์ของโต๊ะเดียว
+ * - ราคาใช้ตามที่บันทึกในบรรทัดตอนสั่ง (item.price มาจากเมนูฝั่ง server) แก้ราคาเมนูทีหลังไม่กระทบออเดอร์ที่สั่งไปแล้ว
+ * - รายการที่ยกเลิก (item.status CANCELLED) และรายการในบุฟเฟ่ต์ (item.buffet) ไม่คิดเงินรายจาน
+ * - ตัวเลือกเมนู (item.modifiers) บวก priceDelta เข้าราคาต่อหน่วย และแยกบรรทัดตามตัวเลือก
+ * - บุฟเฟ่ต์คิดเป็นบรรทัดเดียว: ราคาต่อหัว x จำนวนคน (services/buffet.js buffetBillLine)
+ * - ค่าบริการคิดจาก subtotal, VAT คิดจาก subtotal + ค่าบริการ (ราคาเมนูยังไม่รวม VAT)
+ * @param {Array} orders Order ที่ยังไม่ยกเลิก
+ * @param {object} settings { tax_rate, service_charge }
+ * @param {object} [extra] { buffet: { name, qty, unitPrice } | null }
+ */
+export function computeBill(orders, { tax_rate = 0, service_charge = 0 } = {}, { buffet = null } = {}) {
+  const byKey = new Map();
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (item.status === 'CANCELLED' || item.buffet) continue;
+      const unitPrice = roundMoney((Number(item.price) || 0) + modifiersDelta(item.modifiers));
+      const options = describeModifiers(item.modifiers);
+      const name = options ? `${item.name} (${options})` : item.name;
+      const key = `${name}\u0000${unitPrice}`;
+      const line = byKey.get(key) || { name, qty: 0, unitPrice, amount: 0 };
+      line.qty += Number(item.qty) || 1;
+      line.amount = roundMoney(line.qty * unitPrice);
+      byKey.set(key, line);
+    }
+  }
+
+  const lines = [...byKey.values()];
+  if (buffet) lines.unshift({ ...buffet, amount: roundMoney(buffet.qty * buffet.unitPrice) });
+  const subtotal = roundMoney(lines.reduce((s, l) => s + l.amount, 0));
+  const serviceChargeRate = Number(service_charge) || 0;
+  const taxRate = Number(tax_rate) || 0;
+  const serviceCharge = roundMoney(subtotal * serviceChargeRate / 100);
+  const vat = roundMoney((subtotal + serviceCharge) * taxRate / 100);
+  const total = roundMoney(subtotal + serviceCharge + vat);
+
+  return { lines, subtotal, serviceChargeRate, serviceCharge, taxRate, vat, total };
+}
+
+// ช่องทางชำระเงิน (services/payments.js) -> ชื่อบนใบเสร็จ
+export const PAYMENT_METHODS = {
+  CASH: 'เงินสด',
+  CARD: 'บัตร',
+  PROMPTPAY: 'พร้อมเพย์',
+};
+
+/**
+ * จัดหน้าใบเสร็จเป็นบรรทัดสำหรับ printTicket (ชื่อร้านส่งเป็น title)
+ * payments: รายการรับชำระ/คืนเงินของบิล (ไม่ส่ง = ใบแจ้งยอดตอนเช็คบิล ยังไม่ได้รับเงิน)
+ */
+export function buildReceiptLines(bill, { width = 48, footer = '', printedAt = new Date(), payments = null } = {}) {
+  const when = printedAt.toLocaleString('th-TH', { timeZone: 'Asia/Bangkok', dateStyle: 'short', timeStyle: 'short' });
+  const out = [
+    { text: payments ? 'ใบเสร็จรับเงิน' : 'ใบแจ้งยอด', align: 'center', bold: true },
+    twoColumns(`โต๊ะ ${bill.table || '-'}`, when, width),
+    `เลขที่ ${bill.billNo}`,
+    divider(width),
+  ];
+
+  for (const l of bill.lines) {
+    const left = `x${l.qty} ${l.name}`;
+    const right = formatMoney(l.amount);
+    // ชื่อยาวเกินบรรทัด: ขึ้นบรรทัดใหม่ให้ราคาอยู่ขวาล่าง
+    if (textWidth(left) + textWidth(right) + 1 > width) {
+      out.push(left, twoColumns(`   @${formatMoney(l.unitPrice)}`, right, width));
+    } else {
+      out.push(twoColumns(left, right, width));
+    }
+  }
+
+  out.push(divider(width));
+  out.push(twoColumns('รวม', formatMoney(bill.subtotal), width));
+  if (bill.serviceChargeRate) out.push(twoColumns(`ค่าบริการ ${bill.serviceChargeRate}%`, formatMoney(bill.serviceCharge), width));
+  if (bill.taxRate) out.push(twoColumns(`VAT ${bill.taxRate}%`, formatMoney(bill.vat), width));
+  out.push(divider(width, '='));
+  out.push({ text: twoColumns('ยอดสุทธิ', formatMoney(bill.total), width), bold: true });
+  // แยกบิล: ยอดของแต่ละส่วน
+  for (const s of bill.splits || []) out.push(twoColumns(`  ${s.label}`, formatMoney(s.amount), width));
+  out.push(divider(width));
+  for (const p of payments || []) {
+    const label = `${p.kind === 'REFUND' ? 'คืนเงิน ' : ''}${PAYMENT_METHODS[p.method] || p.method}`;
+    out.push(twoColumns(label, formatMoney(p.kind === 'REFUND' ? -p.amount : p.tendered || p.amount), width));
+    if (p.change) out.push(twoColumns('  เงินทอน', formatMoney(p.change), width));
+  }
+  if (payments?.length) out.push(divider(width));
+  if (footer) out.push({ text: footer, align: 'center' });
+  return out;
+}
@@ -0,0 +1,110 @@
+// services/buffet.js - all-you-can-eat tiers: what a table may order, until when, and the per-head bill line (ESM)
+import { TableSession } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - โต๊ะที่เลือกแพ็กเกจ: สั่งได้เฉพาะเมนูในแพ็กเกจ ราคาต่อจาน = 0 คิดเงินเป็นราคาต่อหัว x จำนวนคน
+ * - เวลาเริ่มนับจาก openedAt ของ session, ปิดรับออเดอร์ (last order) ก่อนหมดเวลา lastOrderMin นาที
+ * - ราคาและเวลาถูก snapshot ลง TableSession ตอนเลือกแพ็กเกจ
+ * - ข้อจำกัดต่อรอบ (maxQtyPerItem, maxItemsPerHead, roundCooldownMin) อ่านจากแพ็กเกจปัจจุบัน 0 = ไม่จำกัด
+ * - รอบ cooldown จองก่อนบันทึกออเดอร์ ถ้าบันทึกไม่สำเร็จต้องคืนรอบ ไม่งั้นโต๊ะติด cooldown ทั้งที่ไม่ได้สั่ง
+ */
+
+const MINUTE = 60 * 1000;
+
+// ใส่/ล้างแพ็กเกจให้ session (ยังไม่ save)
+export function applyBuffetTier(session, tier) {
+  if (!tier) {
+    session.buffetTier = '';
+    session.buffetPricePerHead = 0;
+    session.buffetEndsAt = undefined;
+    session.lastOrderAt = undefined;
+    return session;
+  }
+  const start = new Date(session.openedAt || Date.now()).getTime();
+  const endsAt = start + tier.durationMin * MINUTE;
+  session.buffetTier = tier.name;
+  session.buffetPricePerHead = tier.pricePerHead;
+  session.buffetEndsAt = new Date(endsAt);
+  session.lastOrderAt = new Date(Math.max(start, endsAt - tier.lastOrderMin * MINUTE));
+  return session;
+}
+
+// tier.categories / tier.items เป็น ObjectId; item เป็น MenuItem หรือบรรทัดออเดอร์ ({ itemId, categoryId })
+export function tierIncludes(tier, item) {
+  const has = (list, id) => !!id && list.some(x => String(x._id ?? x) === String(id._id ?? id));
+  return has(tier.categories, item.categoryId) || has(tier.items, item.itemId || item._id);
+}
+
+// หมดเวลาสั่ง (ผ่าน last order แล้ว)
+export function isPastLastOrder(session, now = new Date()) {
+  return !!(session.buffetTier && session.lastOrderAt && now >= session.lastOrderAt);
+}
+
+// บรรทัด "บุฟเฟ่ต์ x จำนวนคน" สำหรับ computeBill (null = โต๊ะนี้ไม่ใช่บุฟเฟ่ต์)
+export function buffetBillLine(session) {
+  if (!session?.buffetTier) return null;
+  return {
+    name: `บุฟเฟ่ต์ ${session.buffetTier}`,
+    qty: session.partySize,
+    unitPrice: session.buffetPricePerHead,
+  };
+}
+
+/**
+ * ตรวจจำนวนในรอบนี้ (ยังไม่ดู cooldown ซึ่งต้องจองเวลาแบบ atomic ที่ session)
+ * @param {Array<{ name, qty }>} items
+ * @returns {string|null} ข้อความ error ภาษาไทย
+ */
+export function checkRoundLimits(tier, session, items) {
+  const qtyByName = new Map();
+  for (const i of items) qtyByName.set(i.name, (qtyByName.get(i.name) || 0) + i.qty);
+
+  if (tier.maxQtyPerItem) {
+    const over = [...qtyByName].filter(([, qty]) => qty > tier.maxQtyPerItem).map(([name]) => name);
+    if (over.length) return `สั่งได้ไม่เกิน ${tier.maxQtyPerItem} ที่ต่อเมนูต่อรอบ: ${over.join(', ')}`;
+  }
+
+  if (tier.maxItemsPerHead) {
+    const max = tier.maxItemsPerHead * session.partySize;
+    const total = [...qtyByName.values()].reduce((s, q) => s + q, 0);
+    if (total > max) {
+      return `สั่งได้ไม่เกิน ${max} ที่ต่อรอบ (${tier.maxItemsPerHead} ที่ต่อคน x ${session.partySize} คน) รอบนี้สั่ง ${total} ที่`;
+    }
+  }
+  return null;
+}
+
+// วินาทีที่ต้องรอก่อนสั่งรอบถัดไป (0 = สั่งได้เลย)
+export function cooldownRemaining(tier, session, now = new Date()) {
+  if (!tier.roundCooldownMin || !session.lastRoundAt) return 0;
+  const readyAt = new Date(session.lastRoundAt).getTime() + tier.roundCooldownMin * MINUTE;
+  return Math.max(0, Math.ceil((readyAt - now.getTime()) / 1000));
+}
+
+/**
+ * จองรอบแบบ atomic: lastRoundAt ต้องยังเป็นค่าที่อ่านมา (กันกดส่งซ้อนจากหลายเครื่อง)
+ * @returns {Promise<Date|null>} เวลาที่จอง (null = คำขออื่นจองไปก่อน)
+ */
+export async function claimRound(session, now = new Date()) {
+  const claimed = await TableSession.findOneAndUpdate(
+    { _id: session._id, lastRoundAt: session.lastRoundAt ?? null },
+    { $set: { lastRoundAt: now } }
+  );
+  return claimed ? now : null;
+}
+
+// คืนรอบที่ claimRound จองไว้ เฉพาะถ้ายังไม่มีรอบใหม่มาทับ
+export async function releaseRound(session, claimedAt) {
+  if (!claimedAt) return;
+  await TableSession.updateOne(
+    { _id: session._id, lastRoundAt: claimedAt },
+    { $set: { lastRoundAt: session.lastRoundAt ?? null } }
+  );
+}
+
+export function formatWait(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return m ? `${m} นาที${s ? ` ${s} วินาที` : ''}` : `${s} วินาที`;
+}
@@ -0,0 +1,258 @@
+// services/escposPrinter.js - ESC/POS printing with pluggable drivers (ESM)
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import iconv from 'iconv-lite';
+
+/**
+ * หมายเหตุ:
+ * - driver = { name, render(job, options) => Buffer, send(buffer, options) => Promise<result> }
+ * - epson / xprinter ส่ง byte stream ดิบไปที่ TCP port 9100
+ * - file (loopback) เขียน byte stream เดียวกันลงดิสก์ ใช้ทดสอบใบครัวโดยไม่ต้องมีเครื่องพิมพ์
+ * - job = { title, lines } โดย line เป็น string หรือ { text, align, bold, size }
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const DEFAULT_PORT = 9100;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_WIDTH = 48; // ตัวอักษรต่อบรรทัด กระดาษ 80mm (58mm = 32)
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// สระบน/ล่าง และวรรณยุกต์ไทย ไม่กินความกว้างบนกระดาษ
+const THAI_COMBINING = /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/g;
+
+// ความกว้างกระดาษ (mm) -> จำนวนตัวอักษร font A
+export function columnsFor(paperWidth) {
+  return Number(paperWidth) === 58 ? 32 : DEFAULT_WIDTH;
+}
+
+export function isSupportedEncoding(encoding) {
+  return iconv.encodingExists(String(encoding || ''));
+}
+
+export function textWidth(text) {
+  return String(text ?? '').replace(THAI_COMBINING, '').length;
+}
+
+export function padEnd(text, width) {
+  const s = String(text ?? '');
+  return s + ' '.repeat(Math.max(0, width - textWidth(s)));
+}
+
+export function padStart(text, width) {
+  const s = String(text ?? '');
+  return ' '.repeat(Math.max(0, width - textWidth(s))) + s;
+}
+
+// ซ้าย-ขวาในบรรทัดเดียว เช่น "x2 เนื้อ ......... 240.00"
+export function twoColumns(left, right, width = DEFAULT_WIDTH) {
+  const r = String(right ?? '');
+  return padEnd(left, Math.max(0, width - textWidth(r))) + r;
+}
+
+export function divider(width = DEFAULT_WIDTH, char = '-') {
+  return char.repeat(width);
+}
+
+class EscPosBuilder {
+  constructor({ encoding = 'cp874', codePage = null } = {}) {
+    this.encoding = encoding;
+    this.chunks = [];
+    this.raw([ESC, 0x40]); // ESC @ initialize
+    if (codePage !== null && codePage !== undefined) this.raw([ESC, 0x74, codePage]);
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  align(where = 'left') {
+    return this.raw([ESC, 0x61, ALIGN[where] ?? 0]);
+  }
+
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  // size: 1 = ปกติ, 2 = กว้าง+สูง 2 เท่า
+  size(n = 1) {
+    const k = Math.min(Math.max(Number(n) || 1, 1), 8) - 1;
+    return this.raw([GS, 0x21, (k << 4) | k]);
+  }
+
+  text(str) {
+    this.chunks.push(iconv.encode(String(str ?? ''), this.encoding));
+    return this;
+  }
+
+  line(str = '') {
+    return this.text(str).raw([LF]);
+  }
+
+  feed(n = 1) {
+    return this.raw([ESC, 0x64, n]);
+  }
+
+  cut() {
+    return this.raw([GS, 0x56, 0x42, 0x00]); // partial cut after feed
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+function normalizeLine(line) {
+  if (line && typeof line === 'object') return line;
+  return { text: String(line ?? '') };
+}
+
+/**
+ * แปลง job เป็น ESC/POS bytes ใช้ร่วมกันทุก driver
+ */
+export function renderTicket(job, { encoding = 'cp874', codePage = null, cut = true, feed = 3 } = {}) {
+  const b = new EscPosBuilder({ encoding, codePage });
+
+  if (job.title) {
+    b.align('center').bold(true).size(2).line(job.title).size(1).bold(false);
+  }
+  b.align('left');
+
+  for (const raw of job.lines || []) {
+    const l = normalizeLine(raw);
+    b.align(l.align || 'left');
+    if (l.bold) b.bold(true);
+    if (l.size && l.size > 1) b.size(l.size);
+    b.line(l.text);
+    if (l.size && l.size > 1) b.size(1);
+    if (l.bold) b.bold(false);
+  }
+  b.align('left');
+
+  if (feed) b.feed(feed);
+  if (cut) b.cut();
+  return b.toBuffer();
+}
+
+/**
+ * ส่ง buffer ไปเครื่องพิมพ์แบบ raw TCP (port 9100)
+ */
+export function sendRaw({ host, port = DEFAULT_PORT, timeoutMs = DEFAULT_TIMEOUT_MS }, buffer) {
+  return new Promise((resolve, reject) => {
+    if (!host) return reject(new Error('Printer host is not set'));
+
+    const socket = new net.Socket();
+    let settled = false;
+    const done = (err) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve({ host, port, bytes: buffer.length });
+    };
+
+    socket.setTimeout(timeoutMs);
+    socket.once('timeout', () => done(new Error(`Printer ${host}:${port} timed out`)));
+    socket.once('error', (err) => done(new Error(`Printer ${host}:${port} error: ${err.message}`)));
+    socket.connect(port, host, () => {
+      socket.end(buffer, () => done());
+    });
+  });
+}
+
+function createTcpDriver(name, defaults) {
+  return {
+    name,
+    render(job, options = {}) {
+      return renderTicket(job, { ...defaults, ...pickRenderOptions(options) });
+    },
+    send(buffer, options = {}) {
+      return sendRaw(options, buffer);
+    },
+  };
+}
+
+function pickRenderOptions({ encoding, codePage, cut, feed } = {}) {
+  const out = {};
+  if (encoding !== undefined) out.encoding = encoding;
+  if (codePage !== undefined) out.codePage = codePage;
+  if (cut !== undefined) out.cut = cut;
+  if (feed !== undefined) out.feed = feed;
+  return out;
+}
+
+// Epson TM-T82: ESC t 26 = Thai Character Code 18 (ตรงกับ CP874)
+export const epsonDriver = createTcpDriver('epson', { encoding: 'cp874', codePage: 26 });
+
+// XPrinter: ESC t 30 = Thai CP874 บนเฟิร์มแวร์ส่วนใหญ่
+export const xprinterDriver = createTcpDriver('xprinter', { encoding: 'cp874', codePage: 30 });
+
+let fileSeq = 0;
+
+// Loopback: render เหมือน driver จริง (options.emulate) แล้วเขียนลงไฟล์ .bin
+export const fileDriver = {
+  name: 'file',
+  render(job, options = {}) {
+    const target = drivers.get(options.emulate || 'epson');
+    if (!target || target === fileDriver) throw new Error(`Unknown emulate driver: ${options.emulate}`);
+    return target.render(job, options);
+  },
+  async send(buffer, options = {}) {
+    const dir = options.outputDir || process.env.PRINT_OUTPUT_DIR || path.join(os.tmpdir(), 'shabu-prints');
+    await fs.mkdir(dir, { recursive: true });
+    const label = String(options.label || options.host || 'ticket').replace(/[^a-z0-9_-]/gi, '_');
+    const file = path.join(dir, `${Date.now()}-${++fileSeq}-${label}.bin`);
+    await fs.writeFile(file, buffer);
+    return { file, bytes: buffer.length };
+  },
+};
+
+const drivers = new Map();
+
+export function registerDriver(driver) {
+  if (!driver || !driver.name || typeof driver.render !== 'function' || typeof driver.send !== 'function') {
+    throw new Error('Printer driver must have name, render() and send()');
+  }
+  drivers.set(driver.name, driver);
+  return driver;
+}
+
+export function getDriver(name) {
+  const driver = drivers.get(name);
+  if (!driver) throw new Error(`Unknown printer driver: ${name}`);
+  return driver;
+}
+
+export function listDrivers() {
+  return [...drivers.keys()];
+}
+
+registerDriver(epsonDriver);
+registerDriver(xprinterDriver);
+registerDriver(fileDriver);
+
+/**
+ * พิมพ์ใบงาน 1 ใบผ่าน driver ที่ระบุ
+ * @param {object} opts { driver, host, port, title, lines, encoding, codePage, timeoutMs, outputDir, emulate }
+ */
+export async function printTicket({ driver = 'epson', title, lines = [], ...options }) {
+  const d = getDriver(driver);
+  const buffer = d.render({ title, lines }, options);
+  return d.send(buffer, { label: title, ...options });
+}
+
+export function printEpson(opts) {
+  return printTicket({ driver: 'epson', ...opts });
+}
+
+export function printXprinterThaiCP874(opts) {
+  return printTicket({ driver: 'xprinter', ...opts });
+}
+
+export default { printTicket, printEpson, printXprinterThaiCP874, registerDriver, getDriver, listDrivers };
@@ -0,0 +1,154 @@
+// services/images.js - menu image uploads: validate, resize to thumb/full WebP + JPEG, clean up orphans (ESM)
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+/**
+ * หมายเหตุ:
+ * - รับไฟล์จาก multer แบบ memoryStorage (จำกัดขนาดที่ MAX_FILE_SIZE) แล้วตรวจชนิดจากเนื้อไฟล์จริงด้วย sharp
+ * - ย่อเป็น 2 ขนาด (thumb สำหรับการ์ดเมนู, full สำหรับดูใหญ่) ขนาดละ 2 format: <base>-320.webp, <base>-320.jpg, ...
+ * - MenuItem.image เก็บ URL ของ full JPEG (ใช้ได้ทุก browser) ส่วน URL อื่นคำนวณจากชื่อไฟล์ด้วย imageVariants()
+ * - รูปเก่าก่อนมี pipeline (ไฟล์เดียว) ยังใช้ได้ imageVariants() คืน URL เดิมทุกขนาด
+ * - เปลี่ยนรูปเมนูเดิม: บันทึกเมนูก่อนแล้วค่อยลบทุกขนาดของรูปเดิม บันทึกไม่ผ่านลบรูปใหม่แทน
+ */
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE || 5 * 1024 * 1024);
+export const IMAGE_SIZES = { thumb: 320, full: 1080 };
+
+const FORMATS = {
+  webp: (img) => img.webp({ quality: 80 }),
+  jpg: (img) => img.jpeg({ quality: 80, mozjpeg: true }),
+};
+const PROCESSED = new RegExp(`^(.+)-(${Object.values(IMAGE_SIZES).join('|')})\\.(${Object.keys(FORMATS).join('|')})$`);
+const ORPHAN_GRACE_MS = 60 * 60 * 1000; // ไฟล์ที่เพิ่งอัปโหลด (request ยังไม่ save เมนู) ไม่ลบ
+
+// ข้อความ 400 ภาษาไทยสำหรับ error จาก multer / fileFilter
+export function uploadErrorMessage(error) {
+  if (error.code === 'LIMIT_FILE_SIZE') return `รูปต้องไม่เกิน ${(MAX_FILE_SIZE / 1024 / 1024).toFixed(1)} MB`;
+  if (error.code === 'UNSUPPORTED_IMAGE') return 'รองรับเฉพาะรูป JPEG, PNG หรือ WebP';
+  return 'อัปโหลดรูปไม่สำเร็จ';
+}
+
+// multer fileFilter: เช็ค mimetype ที่ browser ส่งมา (เนื้อไฟล์ตรวจอีกทีใน processImage)
+export function imageFileFilter(req, file, cb) {
+  if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+  cb(Object.assign(new Error('unsupported image type'), { code: 'UNSUPPORTED_IMAGE' }));
+}
+
+/**
+ * ย่อรูปแล้วเขียนทุกขนาด/format ลง dir
+ * @param {Buffer} buffer ไฟล์ที่อัปโหลด
+ * @returns {Promise<string>} URL ที่เก็บใน MenuItem.image (full JPEG)
+ * @throws {Error} code = 'INVALID_IMAGE' ถ้าไม่ใช่รูปที่รองรับ
+ */
+export async function processImage(buffer, dir) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    meta = null;
+  }
+  if (!meta || !['jpeg', 'png', 'webp'].includes(meta.format)) {
+    throw Object.assign(new Error('ไฟล์ไม่ใช่รูป JPEG, PNG หรือ WebP'), { code: 'INVALID_IMAGE' });
+  }
+
+  const base = Date.now() + '-' + crypto.randomBytes(3).toString('hex');
+  const written = [];
+  try {
+    for (const width of Object.values(IMAGE_SIZES)) {
+      // rotate() ตาม EXIF ของมือถือ, ไม่ขยายรูปเล็ก, flatten พื้นโปร่งใสเป็นขาวสำหรับ JPEG
+      const resized = sharp(buffer).rotate().resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+      for (const [ext, encode] of Object.entries(FORMATS)) {
+        const file = path.join(dir, `${base}-${width}.${ext}`);
+        const img = ext === 'jpg' ? resized.clone().flatten({ background: '#ffffff' }) : resized.clone();
+        await encode(img).toFile(file);
+        written.push(file);
+      }
+    }
+  } catch (error) {
+    await Promise.all(written.map(f => fs.unlink(f).catch(() => {})));
+    throw error;
+  }
+  return `/uploads/${base}-${IMAGE_SIZES.full}.jpg`;
+}
+
+// ชื่อกลุ่มของไฟล์ (ทุกขนาดของรูปเดียวกันได้ค่าเดียวกัน) รูปเก่าใช้ชื่อไฟล์ตรง ๆ
+function imageKey(fileName) {
+  return PROCESSED.exec(fileName)?.[1] ?? fileName;
+}
+
+/**
+ * URL แยกตามขนาดสำหรับ <picture>/srcset
+ * @returns {{ thumb, full, srcset, webpSrcset } | null}
+ */
+export function imageVariants(image) {
+  if (!image) return null;
+  const name = path.posix.basename(image);
+  if (!PROCESSED.test(name)) return { thumb: image, full: image, srcset: '', webpSrcset: '' };
+
+  const base = path.posix.join(path.posix.dirname(image), imageKey(name));
+  const srcset = (ext) => Object.values(IMAGE_SIZES).map(w => `${base}-${w}.${ext} ${w}w`).join(', ');
+  return {
+    thumb: `${base}-${IMAGE_SIZES.thumb}.jpg`,
+    full: `${base}-${IMAGE_SIZES.full}.jpg`,
+    srcset: srcset('jpg'),
+    webpSrcset: srcset('webp'),
+  };
+}
+
+// ลบทุกขนาดของรูป (รูปเดิมตอนเปลี่ยนรูป/ลบเมนู)
+export async function removeImage(dir, image) {
+  if (!image?.startsWith('/uploads/')) return;
+  const key = imageKey(path.basename(image));
+  const files = (await fs.readdir(dir)).filter(f => imageKey(f) === key);
+  await Promise.all(files.map(f => fs.unlink(path.join(dir, f)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  })));
+}
+
+/**
+ * เปลี่ยนรูปของเมนูที่มีอยู่
+ * @param {{ image: string }} item เมนู (ตั้ง item.image เป็นรูปใหม่ก่อนเรียก save)
+ * @param {Buffer} buffer ไฟล์ที่อัปโหลด
+ * @param {() => Promise} save บันทึกเมนู
+ * @returns {Promise<string>} URL รูปใหม่
+ * @throws {Error} code = 'INVALID_IMAGE' (ไม่แตะเมนู) หรือ error จาก save (รูปเดิมยังอยู่)
+ */
+export async function replaceImage(dir, item, buffer, save) {
+  const oldImage = item.image;
+  const image = await processImage(buffer, dir);
+  item.image = image;
+  try {
+    await save();
+  } catch (error) {
+    item.image = oldImage;
+    await removeImage(dir, image).catch(() => {});
+    throw error;
+  }
+  // เมนูชี้รูปใหม่แล้ว ลบรูปเดิมไม่ได้ก็ไม่ต้องล้ม (collectOrphanImages เก็บให้ทีหลัง)
+  await removeImage(dir, oldImage).catch(error => {
+    console.warn('⚠️ Could not remove upload:', oldImage, error.message);
+  });
+  return image;
+}
+
+/**
+ * ลบไฟล์ใน uploads ที่ไม่มีเมนูไหนอ้างถึง (เก่ากว่า graceMs)
+ * @param {string[]} usedImages MenuItem.image ทั้งหมด
+ * @returns {Promise<string[]>} ชื่อไฟล์ที่ลบ
+ */
+export async function collectOrphanImages(dir, usedImages, { graceMs = ORPHAN_GRACE_MS, now = Date.now() } = {}) {
+  const used = new Set(usedImages.filter(Boolean).map(i => imageKey(path.basename(i))));
+  const removed = [];
+  for (const file of await fs.readdir(dir)) {
+    if (file.startsWith('.') || used.has(imageKey(file))) continue;
+    const full = path.join(dir, file);
+    const stat = await fs.stat(full).catch(() => null);
+    if (!stat?.isFile() || now - stat.mtimeMs < graceMs) continue;
+    await fs.unlink(full).catch(() => {});
+    removed.push(file);
+  }
+  return removed;
+}
@@ -0,0 +1,90 @@
+// services/modifiers.js - menu item option groups (broth, spice level, portion, ...) and order-line validation (ESM)
+
+/**
+ * หมายเหตุ:
+ * - MenuItem.modifiers = [{ name, required, maxSelect, options: [{ name, priceDelta }] }]
+ *   maxSelect 1 = เลือกได้อย่างเดียว (เช่น ระดับความเผ็ด), 0 = เลือกได้หลายอย่างไม่จำกัด (เช่น ไม่ใส่ผักชี/ไม่ใส่ต้นหอม)
+ * - ลูกค้าส่งที่เลือกมาเป็น [{ group, option }] เซิร์ฟเวอร์ตรวจกับเมนูจริงและใช้ priceDelta จากเมนู (ไม่เชื่อ client)
+ * - ที่บันทึกลงบรรทัดออเดอร์: [{ group, option, priceDelta }] เรียงตามลำดับกลุ่มในเมนู
+ */
+
+/**
+ * ตรวจ/แปลงกลุ่มตัวเลือกจากหน้าหลังบ้าน (JSON string หรือ array)
+ * @returns {{ groups: Array } | { error: string }}
+ */
+export function parseModifierGroups(input) {
+  let raw = input;
+  if (typeof raw === 'string') {
+    if (!raw.trim()) return { groups: [] };
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: 'รูปแบบตัวเลือกไม่ถูกต้อง' };
+    }
+  }
+  if (!Array.isArray(raw)) return { error: 'รูปแบบตัวเลือกไม่ถูกต้อง' };
+
+  const groups = [];
+  for (const g of raw) {
+    const name = String(g?.name || '').trim();
+    if (!name) return { error: 'ต้องใส่ชื่อกลุ่มตัวเลือก' };
+    if (groups.some(x => x.name === name)) return { error: `ชื่อกลุ่มตัวเลือกซ้ำ: ${name}` };
+
+    const options = [];
+    for (const o of Array.isArray(g.options) ? g.options : []) {
+      const optName = String(typeof o === 'string' ? o : o?.name || '').trim();
+      const priceDelta = Number(typeof o === 'string' ? 0 : o?.priceDelta || 0);
+      if (!optName) continue;
+      if (!Number.isFinite(priceDelta)) return { error: `ราคาเพิ่มของ ${optName} ไม่ถูกต้อง` };
+      if (options.some(x => x.name === optName)) return { error: `ตัวเลือกซ้ำในกลุ่ม ${name}: ${optName}` };
+      options.push({ name: optName, priceDelta });
+    }
+    if (!options.length) return { error: `กลุ่ม ${name} ต้องมีตัวเลือกอย่างน้อย 1 อย่าง` };
+
+    const maxSelect = g.maxSelect === undefined ? 1 : parseInt(g.maxSelect);
+    if (!(maxSelect >= 0)) return { error: `จำนวนที่เลือกได้ของกลุ่ม ${name} ไม่ถูกต้อง` };
+    groups.push({ name, required: g.required === true || g.required === 'true', maxSelect, options });
+  }
+  return { groups };
+}
+
+/**
+ * ตรวจตัวเลือกที่ลูกค้าเลือกสำหรับ 1 บรรทัด
+ * @param {object} menuItem MenuItem (ต้องมี name, modifiers)
+ * @param {Array<{ group, option }>} selected
+ * @returns {{ modifiers: Array<{ group, option, priceDelta }> } | { error: string }}
+ */
+export function resolveModifiers(menuItem, selected = []) {
+  const groups = menuItem.modifiers || [];
+  if (!Array.isArray(selected)) return { error: `ตัวเลือกของ ${menuItem.name} ไม่ถูกต้อง` };
+
+  const picked = new Map(groups.map(g => [g.name, []]));
+  for (const s of selected) {
+    const group = groups.find(g => g.name === s?.group);
+    if (!group) return { error: `${menuItem.name} ไม่มีตัวเลือก "${s?.group}"` };
+    const option = group.options.find(o => o.name === s.option);
+    if (!option) return { error: `${menuItem.name} ไม่มีตัวเลือก "${s.option}" ใน${group.name}` };
+    const list = picked.get(group.name);
+    if (!list.includes(option)) list.push(option);
+  }
+
+  const modifiers = [];
+  for (const group of groups) {
+    const list = picked.get(group.name);
+    if (group.required && !list.length) return { error: `กรุณาเลือก${group.name}สำหรับ ${menuItem.name}` };
+    if (group.maxSelect && list.length > group.maxSelect) {
+      return { error: `${group.name}ของ ${menuItem.name} เลือกได้ไม่เกิน ${group.maxSelect} อย่าง` };
+    }
+    for (const o of list) modifiers.push({ group: group.name, option: o.name, priceDelta: o.priceDelta || 0 });
+  }
+  return { modifiers };
+}
+
+export function modifiersDelta(modifiers = []) {
+  return modifiers.reduce((s, m) => s + (Number(m.priceDelta) || 0), 0);
+}
+
+// "ต้มยำ, เผ็ดมาก" สำหรับใบครัว/ใบเสร็จ
+export function describeModifiers(modifiers = []) {
+  return modifiers.map(m => m.option).join(', ');
+}
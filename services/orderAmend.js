@@ -0,0 +1,54 @@
+// services/orderAmend.js - staff changes after an order is sent: quantity, void a line, cancel the order (ESM)
+
+/**
+ * หมายเหตุ:
+ * - แก้ได้เฉพาะออเดอร์ที่ยังไม่ปิดบิล รายการที่ยกเลิกแล้วแก้ต่อไม่ได้
+ * - ยกเลิกรายการ (VOID) / ยกเลิกทั้งออเดอร์ (CANCEL) ต้องมีเหตุผล, เปลี่ยนจำนวน (QTY) ใส่หรือไม่ใส่ก็ได้
+ * - ทุกการแก้บันทึกลง Order.amendments ทีละรายการ: { action, itemId, name, fromQty, toQty, reason, by, at }
+ * - ใบแก้ไขพิมพ์เฉพาะส่วนต่างไปสถานีของรายการนั้น (+2 / -1 / ยกเลิก x2)
+ */
+
+export const AMEND_ACTIONS = ['QTY', 'VOID', 'CANCEL'];
+
+/**
+ * ตรวจการแก้กับรายการในออเดอร์ตอนนี้
+ * @param {Array} items order.items
+ * @param {{ action: string, itemId?: string, qty?: number, reason?: string }} change
+ * @returns {{ changes: Array<{ line, fromQty, toQty }>, reason: string } | { error: string }} toQty 0 = ยกเลิกรายการ
+ */
+export function planAmendment(items, { action, itemId, qty, reason }) {
+  const why = String(reason || '').trim();
+  if (!AMEND_ACTIONS.includes(action)) return { error: 'Invalid action' };
+  if (action !== 'QTY' && !why) return { error: 'กรุณาระบุเหตุผลที่ยกเลิก' };
+
+  if (action === 'CANCEL') {
+    const active = items.filter(i => i.status !== 'CANCELLED');
+    if (!active.length) return { error: 'ออเดอร์นี้ถูกยกเลิกแล้ว' };
+    return { changes: active.map(line => ({ line, fromQty: line.qty, toQty: 0 })), reason: why };
+  }
+
+  const line = items.find(i => String(i._id) === String(itemId));
+  if (!line) return { error: 'ไม่พบรายการอาหารในออเดอร์นี้' };
+  if (line.status === 'CANCELLED') return { error: `${line.name} ถูกยกเลิกไปแล้ว` };
+  if (action === 'VOID') return { changes: [{ line, fromQty: line.qty, toQty: 0 }], reason: why };
+
+  const next = Number(qty);
+  if (!Number.isInteger(next) || next < 1) return { error: 'จำนวนต้องเป็นจำนวนเต็มตั้งแต่ 1 ขึ้นไป (ถ้าไม่เอาแล้วให้ยกเลิกรายการ)' };
+  if (next === line.qty) return { error: 'จำนวนเท่าเดิม' };
+  return { changes: [{ line, fromQty: line.qty, toQty: next }], reason: why };
+}
+
+// บันทึกลง Order.amendments
+export function amendmentRecords(action, changes, { reason = '', by = '', at = new Date() } = {}) {
+  return changes.map(({ line, fromQty, toQty }) => ({
+    action, itemId: line._id, name: line.name, fromQty, toQty, reason, by, at
+  }));
+}
+
+// รายการสำหรับใบแก้ไข: ticketQty พิมพ์แทน "x<qty>" หน้าชื่อเมนู
+export function amendmentTicketItems(changes) {
+  return changes.map(({ line, fromQty, toQty }) => ({
+    ...(line.toObject?.() ?? line),
+    ticketQty: toQty === 0 ? `ยกเลิก x${fromQty}` : `${toQty > fromQty ? '+' : ''}${toQty - fromQty}`,
+  }));
+}
@@ -0,0 +1,54 @@
+// services/orderNumber.js - daily sequential order/bill numbers + unique order ids (ESM)
+import crypto from 'crypto';
+import { Counter } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - orderNo นับจาก Counter ("order:YYYY-MM-DD") ด้วย $inc แบบ atomic จึงไม่ชนกันแม้สั่งพร้อมกัน
+ * - วันตัดตามเวลาร้าน (Asia/Bangkok) เลขเริ่มที่ 1 ทุกวัน
+ * - orderId เป็น UUID แยกจาก orderNo ใช้อ้างใน API; unique index ที่ Order กันซ้ำทั้งสองแบบ
+ * - เลขบิลใช้ Counter แยก ("bill:YYYY-MM-DD") เป็น YYMMDD + ลำดับ 4 หลัก เช่น 2401310007
+ */
+
+export const BUSINESS_TIMEZONE = 'Asia/Bangkok';
+
+// "YYYY-MM-DD" ตามเวลาร้าน
+export function businessDate(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+async function nextSeq(key) {
+  const inc = () => Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  try {
+    return (await inc()).seq;
+  } catch (error) {
+    // upsert สองตัวแรกของวันชนกันที่ _id: ตัวที่แพ้ลองใหม่ (ตอนนี้ counter มีแล้ว)
+    if (error.code !== 11000) throw error;
+    return (await inc()).seq;
+  }
+}
+
+/**
+ * จองเลขออเดอร์ถัดไปของวัน
+ * @returns {Promise<{ orderId: string, orderNo: number, businessDate: string }>}
+ */
+export async function nextOrderNumber(now = new Date()) {
+  const date = businessDate(now);
+  return { orderId: crypto.randomUUID(), orderNo: await nextSeq(`order:${date}`), businessDate: date };
+}
+
+// "2401310007": วันที่ร้าน (YYMMDD) + ลำดับบิลของวัน
+export function billNumber(date, seq) {
+  return `${date.replaceAll('-', '').slice(2)}${String(seq).padStart(4, '0')}`;
+}
+
+// จองเลขบิลถัดไปของวัน
+export async function nextBillNumber(now = new Date()) {
+  const date = businessDate(now);
+  return billNumber(date, await nextSeq(`bill:${date}`));
+}
+
+// "#007" บนใบครัว/หน้าจอ (ออเดอร์เก่าก่อนมี orderNo ใช้ orderId เดิม)
+export function orderLabel(order) {
+  return Number.isInteger(order.orderNo) ? String(order.orderNo).padStart(3, '0') : order.orderId;
+}
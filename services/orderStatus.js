@@ -0,0 +1,38 @@
+// services/orderStatus.js - per-item kitchen status and the order status derived from it (ESM)
+
+/**
+ * หมายเหตุ:
+ * - สถานะอยู่ที่รายการอาหารแต่ละรายการ (ครัวเนื้อ/ผักเสร็จไม่พร้อมกัน) ส่วน order.status คำนวณจาก items เสมอ
+ * - รายการที่ CANCELLED ไม่นับ ถ้ายกเลิกทุกรายการ order ก็เป็น CANCELLED
+ */
+
+export const ITEM_STATUSES = ['NEW', 'PREPARING', 'READY', 'SERVED', 'CANCELLED'];
+
+// field เวลาที่บันทึกเมื่อรายการเข้าสถานะนั้น
+export const STATUS_TIMESTAMP = {
+  PREPARING: 'preparingAt',
+  READY: 'readyAt',
+  SERVED: 'servedAt',
+  CANCELLED: 'cancelledAt',
+};
+
+const RANK = { NEW: 0, PREPARING: 1, READY: 2, SERVED: 3 };
+
+export function deriveOrderStatus(items = []) {
+  const active = items.filter(i => (i.status || 'NEW') !== 'CANCELLED');
+  if (!active.length) return items.length ? 'CANCELLED' : 'NEW';
+
+  const ranks = active.map(i => RANK[i.status || 'NEW']);
+  const min = Math.min(...ranks);
+  // บางสถานีเริ่มทำแล้ว = ทั้งออเดอร์กำลังทำ
+  if (min === RANK.NEW && Math.max(...ranks) > RANK.NEW) return 'PREPARING';
+  return ITEM_STATUSES[min];
+}
+
+// $set สำหรับอัปเดตรายการใน items ผ่าน arrayFilters ชื่อ `ident`
+export function itemStatusUpdate(status, ident = 'i', at = new Date()) {
+  const $set = { [`items.$[${ident}].status`]: status };
+  const stamp = STATUS_TIMESTAMP[status];
+  if (stamp) $set[`items.$[${ident}].${stamp}`] = at;
+  return $set;
+}
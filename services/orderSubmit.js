@@ -0,0 +1,44 @@
+// services/orderSubmit.js - duplicate order submissions and exactly-once kitchen tickets (ESM)
+import { Order, PrintJob } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - ลูกค้า/พนักงานส่ง Idempotency-Key มากับออเดอร์ ส่งซ้ำด้วย key เดิมใน session เดิม = ได้ออเดอร์เดิมกลับไป
+ * - ออเดอร์บันทึกก่อนส่งใบครัว ถ้าส่งเข้าคิวพิมพ์ไม่สำเร็จ ticketsQueued ยังเป็น false
+ *   คำขอที่ส่งซ้ำ (กดใหม่หลัง error) จะส่งใบครัวให้ ไม่ตอบแค่ "ซ้ำ" แล้วครัวไม่ได้ใบ
+ * - จองการส่งใบครัวแบบ atomic (ticketsQueued false -> true) คำขอซ้อนกันจึงพิมพ์ครั้งเดียว
+ * - ส่งไม่ครบทุกสถานี (ล้มกลางทาง): รอบถัดไปข้ามเครื่องที่มีใบ KITCHEN ของออเดอร์นี้แล้ว ครัวไม่ได้ใบซ้ำ
+ * - ออเดอร์เก่าที่ไม่มี ticketsQueued ถือว่าส่งใบครัวไปแล้ว
+ */
+
+/**
+ * ส่งใบครัวของออเดอร์ ถ้ายังไม่เคยส่งสำเร็จ
+ * @param {object} order Order ที่บันทึกแล้ว
+ * @param {(order, { skip: string[] }) => Promise} queueTickets ส่งเข้าคิวพิมพ์ (queueKitchenTickets) ข้ามเครื่องใน skip
+ * @returns {Promise<boolean>} true = ส่งรอบนี้
+ */
+export async function ensureKitchenTickets(order, queueTickets) {
+  const claimed = await Order.updateOne({ _id: order._id, ticketsQueued: false }, { $set: { ticketsQueued: true } });
+  if (!claimed.modifiedCount) return false;
+  try {
+    const skip = await PrintJob.distinct('printer', { orderId: order.orderId, kind: 'KITCHEN' });
+    await queueTickets(order, { skip });
+  } catch (error) {
+    // ปล่อยให้คำขอที่ส่งซ้ำลองส่งใหม่
+    await Order.updateOne({ _id: order._id }, { $set: { ticketsQueued: false } });
+    throw error;
+  }
+  order.ticketsQueued = true;
+  return true;
+}
+
+/**
+ * หาออเดอร์ที่ส่งไปแล้วด้วย key เดียวกัน (ไม่มี key = ไม่กันซ้ำ) และส่งใบครัวที่ยังค้างให้
+ * @returns {Promise<object|null>}
+ */
+export async function findDuplicateOrder(sessionId, idempotencyKey, queueTickets) {
+  if (!idempotencyKey) return null;
+  const order = await Order.findOne({ sessionId, idempotencyKey });
+  if (order) await ensureKitchenTickets(order, queueTickets);
+  return order;
+}
@@ -0,0 +1,202 @@
+// services/payments.js - split a bill and take payments in several tenders (ESM)
+import { roundMoney, PAYMENT_METHODS } from './billing.js';
+
+/**
+ * หมายเหตุ:
+ * - เช็คบิลแล้วโต๊ะยังเปิดอยู่ (รอชำระ) ปิดโต๊ะเมื่อยอดค้างเป็น 0 เท่านั้น บิลยอด 0 ปิดทันทีตอนเช็คบิล
+ * - รับได้หลายครั้ง/หลายช่องทางต่อบิล: เงินสด (คิดเงินทอน), บัตร, พร้อมเพย์ แต่ละครั้งเป็น 1 Payment
+ * - คืนเงิน (REFUND) ต้องมีเหตุผล คืนได้ไม่เกินยอดที่รับไว้ ยอดค้างจะกลับมาตามที่คืน
+ * - แยกบิล (Bill.splits): หารเท่ากันตามจำนวนคน / ตามรายการ / ตามยอดที่กำหนด ทุกส่วนรวมกันเท่ายอดสุทธิพอดี
+ *   (คิดเป็นสตางค์ เศษสตางค์ไปอยู่ส่วนแรก ๆ) จ่ายแต่ละส่วนโดยอ้างเลขส่วน (split)
+ */
+
+export { PAYMENT_METHODS };
+
+const MAX_SPLITS = 50;
+const satang = (n) => Math.round((Number(n) || 0) * 100);
+const baht = (s) => roundMoney(s / 100);
+const blank = (v) => v === undefined || v === null || v === '';
+
+// แบ่ง totalS (สตางค์) ตามน้ำหนัก เศษไปส่วนแรก ๆ ให้รวมกันพอดี
+function allocate(totalS, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  const parts = weights.map(w => Math.floor(totalS * w / sum));
+  let rest = totalS - parts.reduce((s, p) => s + p, 0);
+  for (let i = 0; rest > 0; i = (i + 1) % parts.length, rest--) parts[i]++;
+  return parts;
+}
+
+/**
+ * แยกบิล
+ * @param {object} bill { lines, total }
+ * @param {{ mode: 'NONE'|'EVEN'|'ITEMS'|'AMOUNTS', parts?: number, items?: Array<Array<{ line: number, qty?: number }>>, amounts?: number[] }} body
+ *   ITEMS: แต่ละกลุ่มคือรายการของ 1 ส่วน (line = index ใน bill.lines) รายการที่ไม่ได้เลือกรวมเป็น "ส่วนที่เหลือ"
+ *   AMOUNTS: ยอดแต่ละส่วน ถ้ารวมไม่ถึงยอดบิล ส่วนต่างเป็น "ส่วนที่เหลือ"
+ * @returns {{ splits: Array<{ label: string, amount: number, items: Array }> } | { error: string }}
+ */
+export function splitBill(bill, { mode, parts, items, amounts } = {}) {
+  const totalS = satang(bill.total);
+  if (totalS <= 0) return { error: 'บิลนี้ไม่มียอดที่ต้องชำระ' };
+
+  if (mode === 'NONE') return { splits: [] }; // ยกเลิกการแยกบิล
+
+  if (mode === 'EVEN') {
+    const n = Number(parts);
+    if (!Number.isInteger(n) || n < 2 || n > MAX_SPLITS) return { error: `จำนวนคนต้องอยู่ระหว่าง 2-${MAX_SPLITS}` };
+    return { splits: allocate(totalS, Array(n).fill(1)).map((s, i) => ({ label: `คนที่ ${i + 1}`, amount: baht(s), items: [] })) };
+  }
+
+  if (mode === 'ITEMS') {
+    if (!Array.isArray(items) || !items.length || items.length > MAX_SPLITS) return { error: 'กรุณาเลือกรายการของแต่ละส่วน' };
+    const left = bill.lines.map(l => Number(l.qty) || 0);
+    const groups = [];
+    for (const group of items) {
+      if (!Array.isArray(group) || !group.length) return { error: 'ทุกส่วนต้องมีอย่างน้อย 1 รายการ' };
+      const picked = [];
+      for (const { line, qty } of group) {
+        const l = bill.lines[line];
+        const q = qty === undefined ? left[line] : Number(qty);
+        if (!l) return { error: 'ไม่พบรายการในบิล' };
+        if (!Number.isInteger(q) || q < 1 || q > left[line]) return { error: `${l.name} เหลือให้แยกได้ ${left[line]} ที่` };
+        left[line] -= q;
+        picked.push({ line, name: l.name, qty: q, amount: roundMoney(l.amount * q / l.qty) });
+      }
+      groups.push(picked);
+    }
+    const rest = left.flatMap((q, line) => q ? [{ line, name: bill.lines[line].name, qty: q, amount: roundMoney(bill.lines[line].amount * q / bill.lines[line].qty) }] : []);
+    if (rest.length) groups.push(rest);
+
+    // ค่าบริการ + VAT กระจายตามสัดส่วนราคารายการ (รายการราคา 0 ทั้งหมด = หารเท่ากัน)
+    const weights = groups.map(g => satang(g.reduce((s, i) => s + i.amount, 0)));
+    const split = allocate(totalS, weights.some(Boolean) ? weights : weights.map(() => 1));
+    return {
+      splits: groups.map((g, i) => ({
+        label: rest.length && i === groups.length - 1 ? 'ส่วนที่เหลือ' : `ส่วนที่ ${i + 1}`,
+        amount: baht(split[i]),
+        items: g,
+      })),
+    };
+  }
+
+  if (mode === 'AMOUNTS') {
+    if (!Array.isArray(amounts) || !amounts.length || amounts.length > MAX_SPLITS) return { error: 'กรุณาระบุยอดของแต่ละส่วน' };
+    const values = amounts.map(satang);
+    if (values.some(v => v <= 0)) return { error: 'ยอดแต่ละส่วนต้องมากกว่า 0' };
+    const rest = totalS - values.reduce((s, v) => s + v, 0);
+    if (rest < 0) return { error: 'ยอดที่แยกรวมกันเกินยอดบิล' };
+    if (rest > 0) values.push(rest);
+    return {
+      splits: values.map((v, i) => ({
+        label: rest > 0 && i === values.length - 1 ? 'ส่วนที่เหลือ' : `ส่วนที่ ${i + 1}`,
+        amount: baht(v),
+        items: [],
+      })),
+    };
+  }
+
+  return { error: 'รูปแบบการแยกบิลไม่ถูกต้อง' };
+}
+
+/**
+ * ยอดรับแล้ว/ค้างของบิล และของแต่ละส่วนที่แยก
+ * @param {object} bill { total, splits }
+ * @param {Array} payments Payment ของบิลนี้ { kind, amount, split }
+ */
+export function billBalance(bill, payments = []) {
+  const net = (list) => list.reduce((s, p) => s + (p.kind === 'REFUND' ? -1 : 1) * satang(p.amount), 0);
+  const paidS = net(payments);
+  return {
+    paid: baht(paidS),
+    balance: baht(Math.max(0, satang(bill.total) - paidS)),
+    splits: (bill.splits || []).map((s, i) => {
+      const paid = net(payments.filter(p => p.split === i));
+      return { index: i, label: s.label, amount: s.amount, items: s.items, paid: baht(paid), due: baht(Math.max(0, satang(s.amount) - paid)) };
+    }),
+  };
+}
+
+// ไม่มียอดค้าง (รวมบิลยอด 0) = ปิดบิล/ปิดโต๊ะได้โดยไม่ต้องรับชำระ
+export function isSettled(bill, payments = []) {
+  return billBalance(bill, payments).balance <= 0;
+}
+
+/**
+ * ปิดโต๊ะตรง ๆ (ไม่ผ่านการรับชำระ) ได้ไหม
+ * @param {{ hasOpenOrders: boolean, bill?: object|null, payments?: Array }} state
+ *   hasOpenOrders = มีออเดอร์ที่ยังไม่ผูกบิล, bill = บิล OPEN ของ session
+ * @returns {{ closeBill: boolean } | { status: number, error: string }} closeBill = ปิดบิลไปพร้อมโต๊ะ
+ */
+export function checkSessionClose({ hasOpenOrders, bill = null, payments = [] }) {
+  if (hasOpenOrders) return { status: 400, error: 'โต๊ะนี้ยังมีออเดอร์ค้างชำระ กรุณาเช็คบิลก่อน' };
+  if (!bill) return { closeBill: false };
+  if (!isSettled(bill, payments)) return { status: 400, error: 'โต๊ะนี้ยังชำระเงินไม่ครบ' };
+  return { closeBill: true };
+}
+
+/**
+ * ตรวจการรับชำระ 1 ครั้ง
+ * @param {{ method, amount?, tendered?, split?, reference? }} body amount ไม่ส่ง = ยอดค้างของส่วนนั้น/ทั้งบิล
+ * @returns {{ payment: { method, amount, tendered, change, split, reference } } | { error: string }}
+ */
+export function planPayment(bill, payments, { method, amount, tendered, split, reference } = {}) {
+  if (!PAYMENT_METHODS[method]) return { error: 'กรุณาเลือกช่องทางชำระเงิน' };
+  const { balance, splits } = billBalance(bill, payments);
+  if (balance <= 0) return { error: 'บิลนี้ชำระครบแล้ว' };
+
+  let due = balance;
+  let part = null;
+  if (!blank(split)) {
+    part = splits[Number(split)];
+    if (!part) return { error: 'ไม่พบส่วนที่แยกบิลไว้' };
+    if (part.due <= 0) return { error: `${part.label} ชำระครบแล้ว` };
+    due = Math.min(due, part.due);
+  }
+
+  const pay = blank(amount) ? due : roundMoney(amount);
+  if (!(pay > 0)) return { error: 'ยอดชำระต้องมากกว่า 0' };
+  if (satang(pay) > satang(due)) return { error: `ยอดชำระเกินยอดค้าง (${due})` };
+
+  // เงินสดรับเกินได้ (ทอน) ช่องทางอื่นรับเท่ายอดพอดี
+  const given = method === 'CASH' && !blank(tendered) ? roundMoney(tendered) : pay;
+  if (satang(given) < satang(pay)) return { error: 'รับเงินมาไม่พอ' };
+
+  return {
+    payment: {
+      method,
+      amount: pay,
+      tendered: given,
+      change: roundMoney(given - pay),
+      split: part ? part.index : null,
+      reference: String(reference || '').trim(),
+    },
+  };
+}
+
+/**
+ * ตรวจการคืนเงิน
+ * @returns {{ refund: { method, amount, reason, split } } | { error: string }}
+ */
+export function planRefund(bill, payments, { method, amount, reason, split } = {}) {
+  if (!PAYMENT_METHODS[method]) return { error: 'กรุณาเลือกช่องทางคืนเงิน' };
+  const why = String(reason || '').trim();
+  if (!why) return { error: 'กรุณาระบุเหตุผลที่คืนเงิน' };
+
+  const { paid } = billBalance(bill, payments);
+  const value = roundMoney(amount);
+  if (!(value > 0)) return { error: 'ยอดคืนต้องมากกว่า 0' };
+  if (satang(value) > satang(paid)) return { error: `คืนได้ไม่เกินยอดที่รับไว้ (${paid})` };
+
+  const part = blank(split) ? null : Number(split);
+  if (part !== null && !bill.splits?.[part]) return { error: 'ไม่พบส่วนที่แยกบิลไว้' };
+  return { refund: { method, amount: value, reason: why, split: part } };
+}
+
+/**
+ * สถานะโต๊ะสำหรับหน้าพนักงาน
+ * OPEN = กำลังสั่ง, BILLED = เช็คบิลแล้วรอชำระ, PAID = ชำระครบ (ปิดโต๊ะ), MERGED = ถูกรวมเข้าโต๊ะอื่น, CLOSED = ปิดโดยไม่มีบิล
+ */
+export function tableState(session) {
+  if (session.status === 'OPEN') return session.billId ? 'BILLED' : 'OPEN';
+  if (session.mergedInto) return 'MERGED';
+  return session.billId ? 'PAID' : 'CLOSED';
+}
@@ -0,0 +1,156 @@
+// services/printQueue.js - MongoDB-backed print job queue with retry/backoff (ESM)
+import { PrintJob, Order } from '../models/schemas.js';
+import { printTicket } from './escposPrinter.js';
+
+/**
+ * หมายเหตุ:
+ * - ทุกใบที่ต้องพิมพ์จะถูกบันทึกเป็น PrintJob ก่อน แล้ว worker ค่อยส่ง (ไม่พิมพ์ inline ใน request)
+ * - state: queued -> sending -> done | (queued อีกครั้งพร้อม backoff) -> failed เมื่อครบ maxAttempts
+ * - resolvePrinter(name) => { driver, host, port, ... } ส่งเข้ามาจาก server เพื่อไม่ผูกกับ env/registry
+ */
+
+const MAX_ATTEMPTS = Number(process.env.PRINT_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.PRINT_RETRY_BASE_MS || 5000);
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 2000;
+const STALE_SENDING_MS = 60 * 1000; // job ค้าง sending (เช่น process ตายกลางทาง) ให้กลับเข้าคิว
+
+export function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+class PrintQueue {
+  constructor() {
+    this.io = null;
+    this.resolvePrinter = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start({ io, resolvePrinter, intervalMs = POLL_INTERVAL_MS }) {
+    this.io = io;
+    this.resolvePrinter = resolvePrinter;
+    if (this.timer) return;
+    this.timer = setInterval(() => this.drain(), intervalMs);
+    this.drain();
+    console.log('🖨️  Print queue worker started');
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueue({ orderId = '', printer, kind = 'KITCHEN', title = '', lines = [] }) {
+    const job = await PrintJob.create({ orderId, printer, kind, title, lines, maxAttempts: MAX_ATTEMPTS });
+    this.emit(job);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  // ส่งงานที่ล้มเหลวใหม่ (นับ attempts ใหม่)
+  async retry(jobId) {
+    const job = await PrintJob.findOneAndUpdate(
+      { _id: jobId, state: { $in: ['failed', 'done'] } },
+      { $set: { state: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: '' } },
+      { new: true }
+    );
+    if (job) {
+      this.emit(job);
+      setImmediate(() => this.drain());
+    }
+    return job;
+  }
+
+  async drain() {
+    if (this.running || !this.resolvePrinter) return;
+    this.running = true;
+    try {
+      await PrintJob.updateMany(
+        { state: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+        { $set: { state: 'queued', nextAttemptAt: new Date() } }
+      );
+
+      let job;
+      while ((job = await this.claim())) {
+        await this.process(job);
+      }
+    } catch (error) {
+      console.error('Print queue error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  claim() {
+    return PrintJob.findOneAndUpdate(
+      { state: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { $set: { state: 'sending' }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async process(job) {
+    this.emit(job);
+    try {
+      const target = await this.resolvePrinter(job.printer);
+      if (!target) throw new Error(`Printer ${job.printer} is not configured`);
+
+      await printTicket({ ...target, title: job.title, lines: job.lines });
+
+      const now = new Date();
+      job.state = 'done';
+      job.completedAt = now;
+      job.lastError = '';
+      await job.save();
+      if (job.orderId) await markPrinted(job.orderId, job.printer, now);
+    } catch (error) {
+      console.error(`Print ${job.printer} error (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+      job.lastError = error.message;
+      if (job.attempts >= job.maxAttempts) {
+        job.state = 'failed';
+      } else {
+        job.state = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts));
+      }
+      await job.save();
+    }
+    this.emit(job);
+  }
+
+  emit(job) {
+    if (this.io) this.io.to('staff').emit('print-job-updated', toPrintJobJSON(job));
+  }
+}
+
+// เก็บเวลาพิมพ์แยกต่อเครื่องพิมพ์ใน order.prints
+async function markPrinted(orderId, printer, printedAt) {
+  const res = await Order.updateOne(
+    { orderId, 'prints.printer': printer },
+    { $set: { 'prints.$.printedAt': printedAt } }
+  );
+  if (res.matchedCount === 0) {
+    await Order.updateOne({ orderId }, { $push: { prints: { printer, printedAt } } });
+  }
+}
+
+export function toPrintJobJSON(j) {
+  return {
+    id: String(j._id),
+    orderId: j.orderId,
+    printer: j.printer,
+    kind: j.kind,
+    title: j.title,
+    state: j.state,
+    attempts: j.attempts,
+    maxAttempts: j.maxAttempts,
+    nextAttemptAt: j.nextAttemptAt,
+    lastError: j.lastError,
+    completedAt: j.completedAt,
+    createdAt: j.createdAt,
+  };
+}
+
+const printQueue = new PrintQueue();
+export default printQueue;
+export { PrintQueue };
@@ -0,0 +1,99 @@
+// services/qrSheet.js - printable A4 sheet of table QR codes (HTML + inline SVG) (ESM)
+import QRCode from 'qrcode';
+
+/**
+ * หมายเหตุ:
+ * - QR ของโต๊ะคือ token ที่เซ็นกับ session ที่เปิดอยู่ ปิดโต๊ะแล้ว QR ใช้สั่งไม่ได้ เปิดรอบใหม่ต้องพิมพ์ใหม่
+ * - แผ่น QR จึงมีเฉพาะโต๊ะที่เปิดอยู่ โต๊ะที่ยังไม่เปิดแจ้งไว้บนหน้าจอ (ไม่พิมพ์การ์ดเปล่า)
+ */
+
+export const QR_SIZES = { S: 40, M: 60, L: 80 }; // ขนาด QR (mm)
+const MAX_TABLES = 200;
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * รายชื่อโต๊ะจาก query: tables=1,2,VIP หรือ from=1&to=20 (&prefix=A => A1..A20)
+ * @returns {{ tables: string[] } | { error: string }}
+ */
+export function parseTableList({ tables, from, to, prefix = '' } = {}) {
+  let list = [];
+  if (tables) {
+    list = String(tables).split(',').map(t => t.trim()).filter(Boolean);
+  } else if (from !== undefined && to !== undefined) {
+    const a = parseInt(from);
+    const b = parseInt(to);
+    if (!Number.isInteger(a) || !Number.isInteger(b) || a > b) return { error: 'ช่วงโต๊ะไม่ถูกต้อง' };
+    if (b - a + 1 > MAX_TABLES) return { error: `สร้างได้ไม่เกิน ${MAX_TABLES} โต๊ะต่อครั้ง` };
+    for (let n = a; n <= b; n++) list.push(`${prefix}${n}`);
+  }
+  list = [...new Set(list)];
+  if (!list.length) return { error: 'กรุณาระบุโต๊ะ (tables หรือ from/to)' };
+  if (list.length > MAX_TABLES) return { error: `สร้างได้ไม่เกิน ${MAX_TABLES} โต๊ะต่อครั้ง` };
+  return { tables: list };
+}
+
+/**
+ * จับโต๊ะที่ขอกับ session ที่เปิดอยู่
+ * @param {string[]} tables
+ * @param {Array<{ table: string }>} sessions session OPEN ของโต๊ะเหล่านั้น
+ * @param {(session) => string} urlFor URL ที่มี token ของ session
+ * @returns {{ entries: Array<{ table: string, url: string }>, skipped: string[] }} skipped = โต๊ะที่ยังไม่เปิด
+ */
+export function sheetEntries(tables, sessions, urlFor) {
+  const entries = [];
+  const skipped = [];
+  for (const table of tables) {
+    const session = sessions.find(s => s.table === table);
+    if (session) entries.push({ table, url: urlFor(session) });
+    else skipped.push(table);
+  }
+  return { entries, skipped };
+}
+
+/**
+ * @param {object} opts
+ * @param {Array<{ table: string, url: string }>} opts.entries โต๊ะที่เปิดอยู่
+ * @param {string[]} [opts.skipped] โต๊ะที่ยังไม่เปิด (แจ้งบนหน้าจอ ไม่พิมพ์)
+ * @param {string} opts.shopName
+ * @param {number} opts.sizeMm
+ */
+export async function buildQrSheet({ entries, skipped = [], shopName, sizeMm = QR_SIZES.M }) {
+  const cards = await Promise.all(entries.map(async ({ table, url }) => {
+    const qr = await QRCode.toString(url, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+    return `
+    <div class="card">
+      <div class="qr">${qr}</div>
+      <div class="shop">${escapeHtml(shopName)}</div>
+      <div class="table">โต๊ะ ${escapeHtml(table)}</div>
+    </div>`;
+  }));
+  const skippedHint = skipped.length
+    ? `<br>โต๊ะที่ยังไม่เปิด (ไม่มีในแผ่นนี้ เปิดโต๊ะแล้วค่อยพิมพ์): ${skipped.map(escapeHtml).join(', ')}`
+    : '';
+
+  return `<!doctype html>
+<html lang="th">
+<head>
+  <meta charset="utf-8" />
+  <title>QR โต๊ะ - ${escapeHtml(shopName)}</title>
+  <style>
+    @page { size: A4; margin: 10mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: 'Sarabun', 'Tahoma', sans-serif; color: #000; }
+    .sheet { display: flex; flex-wrap: wrap; gap: 6mm; }
+    .card { width: ${sizeMm + 10}mm; padding: 4mm; border: 0.3mm dashed #999; text-align: center; break-inside: avoid; }
+    .qr, .qr svg { width: ${sizeMm}mm; height: ${sizeMm}mm; margin: 0 auto; display: block; }
+    .shop { font-size: ${Math.max(8, Math.round(sizeMm / 6))}pt; margin-top: 2mm; }
+    .table { font-size: ${Math.max(12, Math.round(sizeMm / 3))}pt; font-weight: 700; }
+    .hint { font-size: 9pt; color: #666; margin: 0 0 4mm; }
+    @media print { .hint { display: none; } }
+  </style>
+</head>
+<body>
+  <p class="hint">QR ของโต๊ะที่เปิดอยู่ ใช้ได้จนกว่าจะปิดโต๊ะ (เช็คบิล) — กด Ctrl+P เพื่อพิมพ์${skippedHint}</p>
+  <div class="sheet">${cards.join('')}
+  </div>
+</body>
+</html>`;
+}
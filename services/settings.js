@@ -0,0 +1,36 @@
+// services/settings.js - shop settings stored as key/value in the Settings collection (ESM)
+import { Settings } from '../models/schemas.js';
+
+// ใช้ค่าเหล่านี้ถ้ายังไม่มีใน DB (DB เก่าที่ initializeDefaultData ข้ามการ seed)
+export const DEFAULT_SETTINGS = {
+  restaurant_name: 'Shabu Restaurant',
+  tax_rate: 7,          // VAT %
+  service_charge: 0,    // %
+  currency: 'THB',
+  receipt_footer: 'ขอบคุณที่ใช้บริการ',
+  cashier_printer: '',  // ชื่อ Printer สำหรับใบเสร็จ ว่าง = เครื่องแรกที่เปิดใช้
+  broths: ['น้ำใส', 'ต้มยำ', 'หม่าล่า', 'น้ำดำสุกี้'], // น้ำซุปที่เลือกได้ตอนจัดโต๊ะ (services/tableSetup.js)
+  setup_items: ['ชุดผักรวม', 'น้ำจิ้มสุกี้', 'น้ำจิ้มซีฟู้ด'], // ชุดพื้นฐานทุกโต๊ะ
+  broth_printer: '',    // ชื่อ Printer สถานีน้ำซุป ว่าง = เครื่องแรกที่เปิดใช้
+};
+
+export async function getSettings() {
+  const docs = await Settings.find();
+  const out = { ...DEFAULT_SETTINGS };
+  for (const d of docs) out[d.key] = d.value;
+  return out;
+}
+
+export async function getSetting(key) {
+  const doc = await Settings.findOne({ key });
+  return doc ? doc.value : DEFAULT_SETTINGS[key];
+}
+
+// บันทึกเฉพาะ key ที่รู้จัก (DEFAULT_SETTINGS) คืนค่าทั้งหมดหลังบันทึก
+export async function updateSettings(values = {}) {
+  const keys = Object.keys(values).filter(k => k in DEFAULT_SETTINGS);
+  await Promise.all(keys.map(key =>
+    Settings.updateOne({ key }, { $set: { value: values[key] } }, { upsert: true })
+  ));
+  return getSettings();
+}
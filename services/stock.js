@@ -0,0 +1,74 @@
+// services/stock.js - sold-out flag and optional stock count per menu item (ESM)
+import { MenuItem } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - MenuItem.available = false คือ "หมด" (ยังอยู่ในเมนู แค่สั่งไม่ได้) แยกจาก active ที่ซ่อนเมนู
+ * - MenuItem.stock = null ไม่นับสต็อก; ตัวเลขคือจำนวนที่เหลือ ลดตามออเดอร์ และหมดเองเมื่อถึง 0
+ * - ตัดสต็อกแบบ atomic ทีละเมนู ($inc ที่มีเงื่อนไข stock >= qty) ถ้าเมนูไหนไม่พอคืนของที่ตัดไปแล้ว
+ */
+
+/**
+ * ตัดสต็อกเฉพาะเมนูที่นับสต็อก (stock ไม่ใช่ null)
+ * @param {Array<{ itemId, name, qty }>} lines บรรทัดที่ resolve กับเมนูแล้ว
+ * @returns {Promise<{ reserved: Map<string, number> } | { error: string }>} reserved: itemId -> จำนวน
+ */
+export async function reserveStock(lines) {
+  const needs = new Map();
+  for (const line of lines) needs.set(String(line.itemId), (needs.get(String(line.itemId)) || 0) + line.qty);
+  const tracked = await MenuItem.find({ _id: { $in: [...needs.keys()] }, stock: { $ne: null } });
+
+  const reserved = new Map();
+  for (const item of tracked) {
+    const qty = needs.get(String(item._id));
+    const updated = await MenuItem.findOneAndUpdate(
+      { _id: item._id, stock: { $gte: qty } },
+      { $inc: { stock: -qty } },
+      { new: true }
+    );
+    if (!updated) {
+      await releaseStock(reserved);
+      const left = (await MenuItem.findById(item._id))?.stock ?? 0;
+      return { error: left ? `${item.name} เหลือ ${left} ที่ สั่งได้ไม่เกินนี้` : `ขออภัย ${item.name} หมดแล้ว` };
+    }
+    reserved.set(String(item._id), qty);
+  }
+
+  // ถึง 0 แล้วขึ้นว่าหมด
+  if (reserved.size) await MenuItem.updateMany({ _id: { $in: [...reserved.keys()] }, stock: 0 }, { $set: { available: false } });
+  return { reserved };
+}
+
+// คืนสต็อก (ออเดอร์ไม่สำเร็จ/ยกเลิกรายการ) เมนูที่หมดเพราะสต็อกถึง 0 กลับมาขายได้ในคำสั่งเดียวกัน
+// (ค่าใน $set อ่านจากก่อนอัปเดต: stock เดิม 0 = หมดเพราะสต็อก ส่วนที่ปิดขายเองทั้งที่ยังมีของไม่แตะ)
+export async function releaseStock(reserved) {
+  for (const [id, qty] of reserved) {
+    await MenuItem.updateOne({ _id: id, stock: { $ne: null } }, [{
+      $set: {
+        stock: { $add: ['$stock', qty] },
+        available: { $cond: [{ $lte: ['$stock', 0] }, true, '$available'] },
+      },
+    }]);
+  }
+}
+
+/**
+ * ตรวจค่าจากหน้าหลังบ้าน: available (true/false) และ stock ('' หรือ null = ไม่นับ, จำนวนเต็ม >= 0)
+ * เติมสต็อกแล้วกลับมาขายได้เอง, ตั้งเป็น 0 = หมด (ถ้าไม่ได้ส่ง available มาเอง)
+ * @returns {{ data: object } | { error: string }}
+ */
+export function parseStockBody(body) {
+  const out = {};
+  if (body.stock !== undefined) {
+    if (body.stock === null || body.stock === '') {
+      out.stock = null;
+    } else {
+      const stock = Number(body.stock);
+      if (!Number.isInteger(stock) || stock < 0) return { error: 'สต็อกต้องเป็นจำนวนเต็มตั้งแต่ 0 ขึ้นไป (เว้นว่าง = ไม่นับ)' };
+      out.stock = stock;
+      out.available = stock > 0;
+    }
+  }
+  if (body.available !== undefined) out.available = body.available === true || body.available === 'true';
+  return { data: out };
+}
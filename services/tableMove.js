@@ -0,0 +1,127 @@
+// services/tableMove.js - move a table session to another table, or merge two sessions into one bill (ESM)
+import { Order, TableSession } from '../models/schemas.js';
+import { BUSINESS_TIMEZONE } from './orderNumber.js';
+
+/**
+ * หมายเหตุ:
+ * - ย้ายโต๊ะ: session เดิม (และออเดอร์ทั้งหมด) เปลี่ยน table เป็นโต๊ะใหม่ โต๊ะปลายทางต้องว่าง
+ * - รวมโต๊ะ: ออเดอร์ของ session ต้นทางย้ายไป session ปลายทาง จำนวนคนรวมกัน แล้วปิดต้นทางพร้อม mergedInto
+ *   (เช็คบิลที่โต๊ะปลายทางได้บิลเดียว) บุฟเฟ่ต์ต้องเป็นแพ็กเกจเดียวกัน ไม่งั้นคิดเงินต่อหัวไม่ถูก
+ * - QR เดิมของลูกค้ายังใช้ได้: token อ้าง session id และ session ที่ถูกรวมจะชี้ต่อไปที่ mergedInto
+ * - พิมพ์ใบแจ้งย้าย/รวมโต๊ะไปทุกสถานีที่ยังมีรายการค้างทำของโต๊ะนั้น
+ * - เขียนหลายเอกสาร (session + ออเดอร์) ถ้าขั้นไหนล้ม ย้อนขั้นที่ทำไปแล้ว (แบบเดียวกับเช็คบิล)
+ *   ไม่ให้ออเดอร์ค้างอยู่ที่โต๊ะหนึ่งแต่ session อยู่อีกโต๊ะ
+ */
+
+export const MOVE_KINDS = {
+  MOVE: 'ย้ายโต๊ะ',
+  MERGE: 'รวมโต๊ะ',
+};
+
+/**
+ * ตรวจก่อนย้าย/รวม
+ * @param {object} source session ต้นทาง (OPEN)
+ * @param {string} toTable โต๊ะปลายทาง
+ * @param {object|null} target session ที่เปิดอยู่ของโต๊ะปลายทาง
+ * @param {'MOVE'|'MERGE'} kind
+ * @returns {{ table: string } | { status: number, error: string }}
+ */
+export function checkTableMove(source, toTable, target, kind) {
+  const table = String(toTable || '').trim();
+  if (!table) return { status: 400, error: 'กรุณาระบุโต๊ะปลายทาง' };
+  if (table === source.table) return { status: 400, error: 'โต๊ะปลายทางต้องไม่ใช่โต๊ะเดิม' };
+  if (source.billId || target?.billId) return { status: 409, error: 'โต๊ะที่เช็คบิลแล้วย้าย/รวมไม่ได้' };
+
+  if (kind === 'MOVE') {
+    return target ? { status: 409, error: `โต๊ะ ${table} มีลูกค้าอยู่ ถ้าจะนั่งรวมกันให้ใช้รวมโต๊ะ` } : { table };
+  }
+  if (!target) return { status: 404, error: `โต๊ะ ${table} ยังไม่เปิด ถ้าจะย้ายไปนั่งให้ใช้ย้ายโต๊ะ` };
+  if ((source.buffetTier || '') !== (target.buffetTier || '')) {
+    return { status: 400, error: 'รวมโต๊ะได้เฉพาะโต๊ะที่ใช้แพ็กเกจบุฟเฟ่ต์เดียวกัน' };
+  }
+  return { table };
+}
+
+/**
+ * เขียนการย้าย/รวมลง DB (ผ่าน checkTableMove แล้ว)
+ * @param {object} source session ต้นทาง
+ * @param {object|null} target session ปลายทาง (MERGE)
+ * @param {'MOVE'|'MERGE'} kind
+ * @param {string} table โต๊ะปลายทาง
+ * @returns {Promise<{ session, closed? } | { status: number, error: string }>} closed = session ต้นทางที่ปิดเพราะรวมโต๊ะ
+ */
+export async function applyTableMove(source, target, kind, table) {
+  if (kind === 'MOVE') {
+    let session;
+    try {
+      session = await TableSession.findOneAndUpdate({ _id: source._id, status: 'OPEN' }, { $set: { table } }, { new: true });
+    } catch (err) {
+      // มีคนเปิดโต๊ะปลายทางพร้อมกัน (unique index โต๊ะละ 1 session)
+      if (err.code === 11000) return { status: 409, error: `โต๊ะ ${table} มีลูกค้าอยู่ ถ้าจะนั่งรวมกันให้ใช้รวมโต๊ะ` };
+      throw err;
+    }
+    if (!session) return { status: 404, error: 'ไม่พบโต๊ะที่เปิดอยู่' };
+    try {
+      await Order.updateMany({ sessionId: session._id }, { $set: { table } });
+    } catch (err) {
+      await Order.updateMany({ sessionId: session._id, table }, { $set: { table: source.table } });
+      await TableSession.updateOne({ _id: session._id, table }, { $set: { table: source.table } });
+      throw err;
+    }
+    return { session };
+  }
+
+  // ปิดต้นทางก่อน: กันรวมซ้ำ และออเดอร์ใหม่จาก QR เดิมจะไปที่ปลายทาง
+  const closed = await TableSession.findOneAndUpdate(
+    { _id: source._id, status: 'OPEN' },
+    { $set: { status: 'CLOSED', closedAt: new Date(), mergedInto: target._id } },
+    { new: true }
+  );
+  if (!closed) return { status: 404, error: 'ไม่พบโต๊ะที่เปิดอยู่' };
+  // ปิดแล้วไม่มีออเดอร์เข้าต้นทางเพิ่ม: ย้ายเฉพาะชุดนี้ และย้อนเฉพาะชุดนี้
+  const orderIds = await Order.distinct('_id', { sessionId: source._id });
+  const undo = async () => {
+    await Order.updateMany({ _id: { $in: orderIds } }, { $set: { sessionId: source._id, table: source.table } });
+    await TableSession.updateOne(
+      { _id: source._id, status: 'CLOSED', mergedInto: target._id },
+      { $set: { status: 'OPEN' }, $unset: { closedAt: 1, mergedInto: 1 } }
+    );
+  };
+
+  let session;
+  try {
+    await Order.updateMany({ _id: { $in: orderIds } }, { $set: { sessionId: target._id, table } });
+    // ปลายทางต้องยังเปิดและยังไม่เช็คบิล ไม่งั้นออเดอร์ที่ย้ายไปหลุดจากบิล
+    session = await TableSession.findOneAndUpdate(
+      { _id: target._id, status: 'OPEN', billId: null },
+      { $inc: { partySize: closed.partySize } },
+      { new: true }
+    );
+  } catch (err) {
+    await undo();
+    throw err;
+  }
+  if (!session) {
+    await undo();
+    return { status: 409, error: `โต๊ะ ${table} เช็คบิลหรือปิดไปแล้ว กรุณาลองใหม่` };
+  }
+  return { session, closed };
+}
+
+/**
+ * ใบแจ้งครัว: ให้เสิร์ฟรายการที่ค้างไปโต๊ะใหม่
+ * @param {{ kind: 'MOVE'|'MERGE', from: string, to: string, orderLabels?: string[], by?: string, at?: Date }} move
+ * @returns {{ title: string, lines: Array }}
+ */
+export function buildMoveTicket({ kind, from, to, orderLabels = [], by = '', at = new Date() }) {
+  const label = MOVE_KINDS[kind];
+  return {
+    title: `${label} ${from} -> ${to}`,
+    lines: [
+      { text: `${label} ${from} -> ${to}`, size: 2 },
+      kind === 'MERGE' ? `รายการของโต๊ะ ${from} เสิร์ฟที่โต๊ะ ${to}` : `รายการที่ยังไม่เสิร์ฟ ส่งไปโต๊ะ ${to}`,
+      ...(orderLabels.length ? [`ออเดอร์: ${orderLabels.map(l => `#${l}`).join(', ')}`] : []),
+      `${at.toLocaleTimeString('th-TH', { timeZone: BUSINESS_TIMEZONE, hour: '2-digit', minute: '2-digit' })}${by ? `  โดย ${by}` : ''}`,
+    ],
+  };
+}
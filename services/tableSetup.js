@@ -0,0 +1,49 @@
+// services/tableSetup.js - hot-pot broth choice + base set given when a table session starts (ESM)
+
+/**
+ * หมายเหตุ:
+ * - ทุกโต๊ะเลือกหม้อ (เดี่ยว = 1 น้ำซุป, แยก 2 ช่อง = 2 น้ำซุป) จากรายการ broths ใน settings
+ * - ชุดพื้นฐาน (setup_items ใน settings) snapshot ลง session ตอนเลือก
+ * - ผลลัพธ์เก็บที่ TableSession.setup และพิมพ์เป็นใบแรกไปที่ broth_printer
+ */
+
+export const POT_TYPES = {
+  single: { label: 'หม้อเดี่ยว', broths: 1 },
+  split: { label: 'หม้อแยก 2 ช่อง', broths: 2 },
+};
+
+/**
+ * @param {object} body { pot, broths }
+ * @param {object} settings { broths, setup_items }
+ * @returns {{ setup: { pot, broths, items } } | { error: string }}
+ */
+export function parseTableSetup(body = {}, settings = {}) {
+  const pot = POT_TYPES[body.pot];
+  if (!pot) return { error: 'กรุณาเลือกหม้อ (เดี่ยว หรือ แยก 2 ช่อง)' };
+
+  const broths = (Array.isArray(body.broths) ? body.broths : [body.broths]).map(b => String(b || '').trim()).filter(Boolean);
+  if (broths.length !== pot.broths) return { error: `${pot.label}เลือกน้ำซุปได้ ${pot.broths} อย่าง` };
+
+  const available = settings.broths || [];
+  const unknown = broths.filter(b => !available.includes(b));
+  if (unknown.length) return { error: `ไม่มีน้ำซุป: ${unknown.join(', ')}` };
+
+  return { setup: { pot: body.pot, broths, items: [...(settings.setup_items || [])] } };
+}
+
+export function describeSetup(setup) {
+  return `${POT_TYPES[setup.pot]?.label || setup.pot}: ${setup.broths.join(' | ')}`;
+}
+
+// ใบจัดโต๊ะสำหรับสถานีน้ำซุป
+export function buildSetupTicket(session, { changed = false } = {}) {
+  const { setup } = session;
+  return {
+    title: changed ? `เปลี่ยนน้ำซุป โต๊ะ ${session.table}` : `จัดโต๊ะ ${session.table}`,
+    lines: [
+      { text: `โต๊ะ ${session.table}  (${session.partySize} ท่าน)`, bold: true },
+      { text: describeSetup(setup), size: 2 },
+      ...(setup.items.length ? ['ชุดพื้นฐาน:', ...setup.items.map(i => `  - ${i}`)] : []),
+    ],
+  };
+}
@@ -0,0 +1,86 @@
+// services/tableToken.js - signed table QR tokens tied to a TableSession (ESM)
+import crypto from 'crypto';
+import { TableSession } from '../models/schemas.js';
+
+/**
+ * หมายเหตุ:
+ * - token = base64url(JSON { t: table, s: sessionId, iat }) + "." + base64url(HMAC-SHA256)
+ * - ลายเซ็นกันปลอม/แก้เลขโต๊ะ ส่วนการหมดอายุใช้สถานะ session (ปิดโต๊ะ = QR ใช้ไม่ได้ทันที)
+ * - โต๊ะจริงดูจาก session (ย้ายโต๊ะแล้ว QR เดิมยังใช้ได้) session ที่ถูกรวมโต๊ะใช้ต่อที่ mergedInto
+ * - Socket.IO: ลูกค้าส่ง token มาใน handshake auth.tableToken แล้วเข้า room "table:<โต๊ะ>" (รับ event เฉพาะโต๊ะตัวเอง)
+ * - ไม่ตั้ง TABLE_TOKEN_SECRET / JWT_SECRET จะสุ่ม secret ใหม่ทุกครั้งที่ start (QR เดิมใช้ไม่ได้หลังรีสตาร์ท)
+ */
+
+let SECRET = process.env.TABLE_TOKEN_SECRET || process.env.JWT_SECRET;
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ TABLE_TOKEN_SECRET / JWT_SECRET not set: table QR codes will stop working after a restart');
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(data) {
+  return b64url(crypto.createHmac('sha256', SECRET).update(data).digest());
+}
+
+export function signTableToken(session) {
+  const payload = b64url(JSON.stringify({ t: session.table, s: String(session._id), iat: Date.now() }));
+  return `${payload}.${sign(payload)}`;
+}
+
+// ตรวจลายเซ็นอย่างเดียว คืน payload หรือ null
+export function verifyTableToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data && data.t && data.s ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ตรวจ token + สถานะ session
+ * @returns {Promise<{ session } | { status, error }>}
+ */
+export async function resolveTableToken(token) {
+  if (!token) return { status: 401, error: 'กรุณาสแกน QR ที่โต๊ะเพื่อสั่งอาหาร' };
+
+  const data = verifyTableToken(token);
+  if (!data) return { status: 401, error: 'QR ไม่ถูกต้อง กรุณาสแกน QR ที่โต๊ะอีกครั้ง' };
+
+  // ตาม mergedInto ได้ไม่กี่ทอด (รวมต่อกันหลายโต๊ะ)
+  let session = await TableSession.findById(data.s);
+  for (let hops = 0; session?.status === 'CLOSED' && session.mergedInto && hops < 5; hops++) {
+    session = await TableSession.findById(session.mergedInto);
+  }
+  if (session?.status !== 'OPEN') return { status: 401, error: 'QR หมดอายุแล้ว (โต๊ะถูกปิด) กรุณาติดต่อพนักงาน' };
+
+  return { session };
+}
+
+export const tableRoom = (table) => `table:${table}`;
+
+// io.use(): token ที่ยังใช้ได้ => เข้า room ของโต๊ะ (token หมดอายุก็ต่อได้ แต่ไม่ได้รับ event ของโต๊ะ)
+export async function socketTableAuth(socket, next) {
+  try {
+    const token = socket.handshake.auth?.tableToken;
+    if (token) {
+      const { session } = await resolveTableToken(token);
+      if (session) {
+        socket.data.table = session.table;
+        socket.join(tableRoom(session.table));
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
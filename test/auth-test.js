@@ -0,0 +1,56 @@
+// test/auth-test.js - staff passwords, role checks and socket rooms (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { User } from '../models/schemas.js';
+import { hashPassword, verifyPassword, requireRole, signAuthToken, socketAuth, checkSecrets } from '../services/auth.js';
+
+const kitchen = { _id: '64b000000000000000000001', username: 'chef', role: 'kitchen', active: true };
+
+// เรียก middleware แล้วคืน { status, body } หรือ { next: true }
+function run(middleware, headers) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ status: this.code, body }); },
+    };
+    middleware({ headers }, res, (error) => error ? reject(error) : resolve({ next: true }));
+  });
+}
+
+test('passwords hash with a fresh salt and only verify with the same password', async () => {
+  const stored = await hashPassword('s3cret-pass');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(await hashPassword('s3cret-pass'), stored);
+  assert.equal(await verifyPassword('s3cret-pass', stored), true);
+  assert.equal(await verifyPassword('s3cret-pasS', stored), false);
+  assert.equal(await verifyPassword('s3cret-pass', 'plain-text'), false);
+  assert.equal(await verifyPassword('s3cret-pass', null), false);
+});
+
+test('requireRole denies roles outside the list and anonymous requests', async (t) => {
+  t.mock.method(User, 'findOne', async ({ _id }) => _id === kitchen._id ? kitchen : null);
+  const auth = { authorization: `Bearer ${signAuthToken(kitchen)}` };
+
+  assert.deepEqual(await run(requireRole('cashier'), auth), { status: 403, body: { error: 'ไม่มีสิทธิ์ใช้งานส่วนนี้' } });
+  assert.deepEqual(await run(requireRole(), auth), { next: true });
+  assert.deepEqual(await run(requireRole('kitchen'), auth), { next: true });
+  assert.equal((await run(requireRole(), {})).status, 401);
+  assert.equal((await run(requireRole(), { authorization: 'Bearer not-a-token' })).status, 401);
+});
+
+test('staff sockets join their role room so bill events skip the kitchen', async (t) => {
+  t.mock.method(User, 'findOne', async () => kitchen);
+  const rooms = [];
+  const socket = { handshake: { headers: { cookie: `shabu_auth=${signAuthToken(kitchen)}` } }, data: {}, join: (r) => rooms.push(...r) };
+  await new Promise((resolve, reject) => socketAuth(socket, (error) => error ? reject(error) : resolve()));
+  assert.deepEqual(rooms, ['staff', 'role:kitchen']);
+  assert.equal(socket.data.user.role, 'kitchen');
+});
+
+test('the example secrets from .env.example stop the server from starting', () => {
+  assert.throws(() => checkSecrets({ JWT_SECRET: 'your-super-secret-key-here' }), /JWT_SECRET/);
+  assert.throws(() => checkSecrets({ JWT_SECRET: 'x'.repeat(64), TABLE_TOKEN_SECRET: 'another-long-random-string' }), /TABLE_TOKEN_SECRET/);
+  assert.doesNotThrow(() => checkSecrets({ JWT_SECRET: 'x'.repeat(64) }));
+  assert.doesNotThrow(() => checkSecrets({}));
+});
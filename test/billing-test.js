@@ -0,0 +1,41 @@
+// test/billing-test.js - bill totals, order totals and receipt layout (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBill, buildReceiptLines, orderTotals } from '../services/billing.js';
+import { textWidth } from '../services/escposPrinter.js';
+
+test('receipt lines total the bill and fit the paper width', () => {
+  const orders = [
+    { items: [{ name: 'เนื้อออสเตรเลีย', qty: 2, price: 120 }, { name: 'น้ำเปล่า', qty: 1, price: 10 }] },
+    { items: [{ name: 'เนื้อออสเตรเลีย', qty: 1, price: 120 }, { name: 'น้ำเปล่า', qty: 5, price: 10, status: 'CANCELLED' }] },
+  ];
+  const bill = computeBill(orders, { tax_rate: 7, service_charge: 10 });
+  assert.equal(bill.subtotal, 370);
+  assert.equal(bill.serviceCharge, 37);
+  assert.equal(bill.vat, 28.49);
+  assert.equal(bill.total, 435.49);
+
+  const lines = buildReceiptLines({ ...bill, table: '5', billNo: '000123' }, { width: 32 });
+  for (const l of lines) assert.ok(textWidth(typeof l === 'string' ? l : l.text) <= 32);
+  assert.ok(lines.some(l => typeof l === 'string' && l.startsWith('x3 เนื้อออสเตรเลีย') && l.endsWith('360.00')));
+});
+
+test('order totals use the stored line prices and skip cancelled items', () => {
+  const items = [
+    { name: 'หม้อไฟ', qty: 2, price: 100, modifiers: [{ option: 'ต้มยำ', priceDelta: 20 }] },
+    { name: 'น้ำเปล่า', qty: 3, price: 10, status: 'CANCELLED' },
+    { name: 'หมู', qty: 4, price: 0, buffet: true },
+  ];
+  assert.deepEqual(orderTotals(items), { totalItems: 6, totalAmount: 240 });
+});
+
+test('bills use the price stored on the order line, not the current menu price', () => {
+  const orders = [
+    { items: [{ itemId: 'i-beef', name: 'เนื้อ', qty: 1, price: 100 }] },
+    { items: [{ itemId: 'i-beef', name: 'เนื้อ', qty: 2, price: 120, modifiers: [{ option: 'พิเศษ', priceDelta: 30 }] }] },
+  ];
+  const bill = computeBill(orders);
+  assert.deepEqual(bill.lines.map(l => [l.name, l.unitPrice, l.amount]), [['เนื้อ', 100, 100], ['เนื้อ (พิเศษ)', 150, 300]]);
+  assert.equal(bill.total, 400);
+});
@@ -0,0 +1,67 @@
+// test/buffet-test.js - buffet tiers: per-head billing, round limits, tier contents (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TableSession } from '../models/schemas.js';
+import { computeBill } from '../services/billing.js';
+import {
+  applyBuffetTier, buffetBillLine, isPastLastOrder, checkRoundLimits, cooldownRemaining, tierIncludes, claimRound, releaseRound
+} from '../services/buffet.js';
+
+test('buffet tables pay per head, not per plate, and stop at last order', () => {
+  const session = applyBuffetTier({ openedAt: new Date('2024-01-01T12:00:00Z'), partySize: 3 },
+    { name: 'Premium', pricePerHead: 499, durationMin: 90, lastOrderMin: 15 });
+  assert.equal(session.lastOrderAt.toISOString(), '2024-01-01T13:15:00.000Z');
+  assert.ok(!isPastLastOrder(session, new Date('2024-01-01T13:14:00Z')));
+  assert.ok(isPastLastOrder(session, new Date('2024-01-01T13:15:00Z')));
+
+  const orders = [{ items: [{ name: 'เนื้อออสเตรเลีย', qty: 4, price: 0, buffet: true }, { name: 'น้ำเปล่า', qty: 2, price: 10 }] }];
+  const bill = computeBill(orders, {}, { buffet: buffetBillLine(session) });
+  assert.deepEqual(bill.lines.map(l => [l.name, l.amount]), [['บุฟเฟ่ต์ Premium', 1497], ['น้ำเปล่า', 20]]);
+  assert.equal(bill.total, 1517);
+});
+
+test('buffet rounds are limited per item, per head and by cooldown', () => {
+  const tier = { maxQtyPerItem: 3, maxItemsPerHead: 2, roundCooldownMin: 10 };
+  const session = { partySize: 2, lastRoundAt: new Date('2024-01-01T12:00:00Z') };
+  assert.equal(checkRoundLimits(tier, session, [{ name: 'หมู', qty: 2 }, { name: 'ผัก', qty: 2 }]), null);
+  assert.match(checkRoundLimits(tier, session, [{ name: 'หมู', qty: 2 }, { name: 'หมู', qty: 2 }]), /ไม่เกิน 3 ที่ต่อเมนู.*หมู/);
+  assert.match(checkRoundLimits(tier, session, [{ name: 'หมู', qty: 3 }, { name: 'ผัก', qty: 2 }]), /ไม่เกิน 4 ที่ต่อรอบ/);
+  assert.equal(cooldownRemaining(tier, session, new Date('2024-01-01T12:08:30Z')), 90);
+  assert.equal(cooldownRemaining(tier, session, new Date('2024-01-01T12:10:00Z')), 0);
+});
+
+test('buffet tiers match menu items and order lines by id, not by name', () => {
+  const tier = { categories: ['c-meat'], items: ['i-coke'] };
+  assert.ok(tierIncludes(tier, { _id: 'i-pork', name: 'หมู (ชื่อใหม่)', categoryId: { _id: 'c-meat', name: 'เนื้อ' } }));
+  assert.ok(tierIncludes(tier, { itemId: 'i-coke', name: 'โค้ก', categoryId: 'c-drink' }));
+  assert.ok(!tierIncludes(tier, { _id: 'i-beer', name: 'เบียร์', categoryId: 'c-drink' }));
+  assert.ok(!tierIncludes(tier, { _id: 'i-misc', name: 'อื่น ๆ', categoryId: null }));
+  assert.ok(tierIncludes({ categories: [{ _id: 'c-meat', name: 'เนื้อ' }], items: [] }, { _id: 'i-pork', categoryId: 'c-meat' }));
+});
+
+test('a round claimed for an order that was not saved is given back', async (t) => {
+  const stored = { _id: 's1', lastRoundAt: new Date('2024-01-01T12:00:00Z') };
+  // findOneAndUpdate / updateOne ตามเงื่อนไข lastRoundAt เหมือน MongoDB
+  const apply = ({ _id, lastRoundAt }, { $set }) => {
+    const match = _id === stored._id && String(stored.lastRoundAt ?? null) === String(lastRoundAt);
+    if (match) Object.assign(stored, $set);
+    return match;
+  };
+  t.mock.method(TableSession, 'findOneAndUpdate', async (filter, update) => apply(filter, update) ? stored : null);
+  t.mock.method(TableSession, 'updateOne', async (filter, update) => ({ modifiedCount: apply(filter, update) ? 1 : 0 }));
+
+  const session = { _id: 's1', lastRoundAt: stored.lastRoundAt };
+  const claimedAt = await claimRound(session, new Date('2024-01-01T12:10:00Z'));
+  assert.equal(claimedAt.toISOString(), '2024-01-01T12:10:00.000Z');
+  assert.equal(await claimRound(session, new Date('2024-01-01T12:10:01Z')), null);
+
+  await releaseRound(session, claimedAt);
+  assert.equal(stored.lastRoundAt.toISOString(), '2024-01-01T12:00:00.000Z');
+
+  // มีรอบใหม่ทับแล้ว: ไม่คืนทับรอบนั้น
+  const again = await claimRound(session, new Date('2024-01-01T12:11:00Z'));
+  await claimRound({ _id: 's1', lastRoundAt: again }, new Date('2024-01-01T12:22:00Z'));
+  await releaseRound(session, again);
+  assert.equal(stored.lastRoundAt.toISOString(), '2024-01-01T12:22:00.000Z');
+});
@@ -0,0 +1,71 @@
+// test/images-test.js - menu image pipeline (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+import { processImage, imageVariants, removeImage, replaceImage, collectOrphanImages } from '../services/images.js';
+
+test('menu images are resized to thumb/full WebP + JPEG and orphans are collected', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'shabu-uploads-'));
+  const sharp = (await import('sharp')).default;
+  const photo = await sharp({ create: { width: 2000, height: 1500, channels: 3, background: '#c0392b' } }).jpeg().toBuffer();
+
+  const image = await processImage(photo, dir);
+  assert.match(image, /^\/uploads\/.+-1080\.jpg$/);
+  const urls = imageVariants(image);
+  assert.match(urls.thumb, /-320\.jpg$/);
+  assert.match(urls.webpSrcset, /-320\.webp 320w, .+-1080\.webp 1080w$/);
+  assert.equal((await fs.readdir(dir)).length, 4);
+  assert.equal((await sharp(path.join(dir, path.basename(urls.thumb))).metadata()).width, 320);
+
+  await assert.rejects(processImage(Buffer.from('not an image'), dir), { code: 'INVALID_IMAGE' });
+  assert.deepEqual(imageVariants('/uploads/old.jpg'), { thumb: '/uploads/old.jpg', full: '/uploads/old.jpg', srcset: '', webpSrcset: '' });
+  assert.equal(imageVariants(''), null);
+
+  await fs.writeFile(path.join(dir, 'old.jpg'), photo);
+  assert.deepEqual(await collectOrphanImages(dir, [image], { graceMs: 60000 }), []);
+  assert.deepEqual(await collectOrphanImages(dir, [image], { graceMs: 0, now: Date.now() + 1000 }), ['old.jpg']);
+  assert.equal((await fs.readdir(dir)).length, 4);
+
+  await removeImage(dir, image);
+  assert.deepEqual(await fs.readdir(dir), []);
+  await fs.rm(dir, { recursive: true });
+});
+
+test('replacing a menu image removes every size of the old one only after the item is saved', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'shabu-uploads-'));
+  const sharp = (await import('sharp')).default;
+  const photo = (color) => sharp({ create: { width: 400, height: 300, channels: 3, background: color } }).png().toBuffer();
+  try {
+    const item = { image: await processImage(await photo('#c0392b'), dir) };
+    const oldFiles = await fs.readdir(dir);
+
+    // บันทึกไม่ผ่าน: รูปเดิมอยู่ครบ รูปใหม่ถูกลบ
+    await assert.rejects(replaceImage(dir, item, await photo('#27ae60'), async () => { throw new Error('save failed'); }), /save failed/);
+    assert.deepEqual((await fs.readdir(dir)).sort(), oldFiles.sort());
+    assert.equal(item.image, imageVariants(item.image).full);
+    const before = item.image;
+
+    await assert.rejects(replaceImage(dir, item, Buffer.from('not an image'), async () => {}), { code: 'INVALID_IMAGE' });
+    assert.equal(item.image, before);
+
+    let savedImage;
+    const image = await replaceImage(dir, item, await photo('#2980b9'), async () => { savedImage = item.image; });
+    assert.equal(savedImage, image);
+    assert.notEqual(image, before);
+    const files = await fs.readdir(dir);
+    assert.equal(files.length, 4);
+    assert.ok(files.every(f => !oldFiles.includes(f)));
+
+    // รูปเก่าก่อนมี pipeline (ไฟล์เดียว) ก็ถูกลบเมื่อเปลี่ยนรูป
+    await fs.writeFile(path.join(dir, 'legacy.jpg'), await photo('#000000'));
+    const legacy = { image: '/uploads/legacy.jpg' };
+    await replaceImage(dir, legacy, await photo('#ffffff'), async () => {});
+    assert.ok(!(await fs.readdir(dir)).includes('legacy.jpg'));
+    assert.equal((await fs.readdir(dir)).length, 8);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
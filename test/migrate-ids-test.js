@@ -0,0 +1,44 @@
+// test/migrate-ids-test.js - category/item names to _id in scripts/migrate-ids.js (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { menuItemUpdate, toIds, orderLines } from '../scripts/migrate-ids.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const meat = id();
+const pork = id();
+const categoryId = new Map([['เนื้อ', meat]]);
+const itemId = new Map([['หมูสไลซ์', pork]]);
+
+test('legacy category names on menu items become categoryId', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  assert.deepEqual(menuItemUpdate({ name: 'หมูสไลซ์', category: 'เนื้อ' }, categoryId), { $set: { categoryId: meat }, $unset: { category: '' } });
+
+  // หมวดที่ไม่มีแล้ว: ไม่มีหมวด (แจ้งใน log) แต่ categoryId ที่ตั้งไว้แล้วไม่ทับ
+  assert.deepEqual(menuItemUpdate({ name: 'ผักรวม', category: 'ผัก' }, categoryId).$set, { categoryId: null });
+  assert.match(log.mock.calls[0].arguments[0], /ผักรวม: ไม่พบหมวด "ผัก"/);
+  const kept = id();
+  assert.equal(menuItemUpdate({ name: 'เบียร์', category: 'ผัก', categoryId: kept }, categoryId).$set.categoryId, kept);
+  assert.equal(menuItemUpdate({ name: 'น้ำเปล่า', category: '' }, categoryId).$set.categoryId, null);
+  assert.equal(log.mock.callCount(), 2);
+});
+
+test('buffet tier names resolve to ids and unknown names are dropped', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const existing = id();
+  assert.deepEqual(toIds(['เนื้อ', existing, 'ของหวาน'], categoryId, 'หมวด', 'Premium'), [meat, existing]);
+  assert.deepEqual(toIds(['ไม่มีเมนูนี้'], itemId, 'เมนู', 'Premium'), []);
+  assert.deepEqual(log.mock.calls.map(c => c.arguments[0]), ['  ⚠ Premium: ไม่พบหมวด "ของหวาน" (ตัดออก)', '  ⚠ Premium: ไม่พบเมนู "ไม่มีเมนูนี้" (ตัดออก)']);
+});
+
+test('order lines get item and category ids from their names', () => {
+  const lines = orderLines([
+    { name: 'หมูสไลซ์', category: 'เนื้อ', qty: 2 },
+    { name: 'เมนูที่ลบไปแล้ว', category: 'ผัก', qty: 1 },
+  ], itemId, categoryId);
+  assert.deepEqual(lines, [
+    { name: 'หมูสไลซ์', category: 'เนื้อ', qty: 2, itemId: pork, categoryId: meat },
+    { name: 'เมนูที่ลบไปแล้ว', category: 'ผัก', qty: 1, itemId: null, categoryId: null },
+  ]);
+});
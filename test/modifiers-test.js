@@ -0,0 +1,25 @@
+// test/modifiers-test.js - menu modifiers validation and pricing (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBill } from '../services/billing.js';
+import { resolveModifiers } from '../services/modifiers.js';
+
+test('modifiers are validated against the menu and priced per line', () => {
+  const soup = {
+    name: 'หม้อไฟ',
+    modifiers: [
+      { name: 'น้ำซุป', required: true, maxSelect: 1, options: [{ name: 'น้ำใส', priceDelta: 0 }, { name: 'ต้มยำ', priceDelta: 20 }] },
+      { name: 'ไม่ใส่', required: false, maxSelect: 0, options: [{ name: 'ผักชี' }, { name: 'ต้นหอม' }] },
+    ],
+  };
+  assert.match(resolveModifiers(soup, []).error, /กรุณาเลือกน้ำซุป/);
+  assert.match(resolveModifiers(soup, [{ group: 'น้ำซุป', option: 'หม่าล่า' }]).error, /ไม่มีตัวเลือก "หม่าล่า"/);
+  assert.match(resolveModifiers(soup, [{ group: 'น้ำซุป', option: 'น้ำใส' }, { group: 'น้ำซุป', option: 'ต้มยำ' }]).error, /ไม่เกิน 1/);
+
+  const { modifiers } = resolveModifiers(soup, [{ group: 'ไม่ใส่', option: 'ผักชี' }, { group: 'น้ำซุป', option: 'ต้มยำ', priceDelta: -999 }]);
+  assert.deepEqual(modifiers.map(m => [m.option, m.priceDelta]), [['ต้มยำ', 20], ['ผักชี', 0]]);
+
+  const bill = computeBill([{ items: [{ name: 'หม้อไฟ', qty: 2, price: 100, modifiers }, { name: 'หม้อไฟ', qty: 1, price: 100 }] }]);
+  assert.deepEqual(bill.lines.map(l => [l.name, l.amount]), [['หม้อไฟ (ต้มยำ, ผักชี)', 240], ['หม้อไฟ', 100]]);
+});
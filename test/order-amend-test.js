@@ -0,0 +1,33 @@
+// test/order-amend-test.js - staff order amendments (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planAmendment, amendmentRecords, amendmentTicketItems } from '../services/orderAmend.js';
+
+test('order amendments need a reason to void and print only the difference', () => {
+  const items = [
+    { _id: 'l1', name: 'หมูสไลซ์', qty: 2, status: 'SERVED' },
+    { _id: 'l2', name: 'โค้ก', qty: 1, status: 'CANCELLED' },
+    { _id: 'l3', name: 'ชาเย็น', qty: 1, status: 'NEW' },
+  ];
+
+  assert.deepEqual(planAmendment(items, { action: 'VOID', itemId: 'l1' }), { error: 'กรุณาระบุเหตุผลที่ยกเลิก' });
+  assert.match(planAmendment(items, { action: 'VOID', itemId: 'l2', reason: 'x' }).error, /ถูกยกเลิกไปแล้ว/);
+  assert.equal(planAmendment(items, { action: 'QTY', itemId: 'l1', qty: 2 }).error, 'จำนวนเท่าเดิม');
+  assert.ok(planAmendment(items, { action: 'QTY', itemId: 'l1', qty: 0 }).error);
+  assert.ok(planAmendment(items, { action: 'QTY', itemId: 'nope', qty: 1 }).error);
+
+  const more = planAmendment(items, { action: 'QTY', itemId: 'l1', qty: 5 });
+  assert.deepEqual(more.changes.map(c => [c.fromQty, c.toQty]), [[2, 5]]);
+  assert.equal(amendmentTicketItems(more.changes)[0].ticketQty, '+3');
+  assert.equal(amendmentTicketItems(planAmendment(items, { action: 'QTY', itemId: 'l1', qty: 1 }).changes)[0].ticketQty, '-1');
+
+  const cancel = planAmendment(items, { action: 'CANCEL', reason: ' ลูกค้าเปลี่ยนใจ ' });
+  assert.equal(cancel.reason, 'ลูกค้าเปลี่ยนใจ');
+  assert.deepEqual(cancel.changes.map(c => c.line._id), ['l1', 'l3']);
+  assert.deepEqual(amendmentTicketItems(cancel.changes).map(i => `${i.ticketQty} ${i.name}`), ['ยกเลิก x2 หมูสไลซ์', 'ยกเลิก x1 ชาเย็น']);
+
+  const at = new Date('2024-01-01T12:00:00Z');
+  assert.deepEqual(amendmentRecords('CANCEL', cancel.changes, { reason: cancel.reason, by: 'cashier1', at })[1],
+    { action: 'CANCEL', itemId: 'l3', name: 'ชาเย็น', fromQty: 1, toQty: 0, reason: 'ลูกค้าเปลี่ยนใจ', by: 'cashier1', at });
+});
@@ -0,0 +1,54 @@
+// test/order-number-test.js - daily order and bill numbers (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Counter } from '../models/schemas.js';
+import { businessDate, orderLabel, billNumber, nextOrderNumber, nextBillNumber } from '../services/orderNumber.js';
+
+test('order numbers reset on the restaurant day and print as short labels', () => {
+  assert.equal(businessDate(new Date('2024-01-31T16:59:59Z')), '2024-01-31');
+  assert.equal(businessDate(new Date('2024-01-31T17:00:00Z')), '2024-02-01'); // เที่ยงคืนเวลาไทย
+  assert.equal(orderLabel({ orderId: '5f1c2e9a-0000', orderNo: 7 }), '007');
+  assert.equal(orderLabel({ orderId: '5f1c2e9a-0000', orderNo: 1234 }), '1234');
+  assert.equal(orderLabel({ orderId: '482913' }), '482913');
+  assert.equal(billNumber('2024-02-01', 7), '2402010007');
+});
+
+test('each restaurant day counts orders and bills from 1 on its own counter', async (t) => {
+  const counters = new Map();
+  t.mock.method(Counter, 'findOneAndUpdate', async ({ _id }, { $inc }) => {
+    counters.set(_id, (counters.get(_id) || 0) + $inc.seq);
+    return { _id, seq: counters.get(_id) };
+  });
+
+  const evening = new Date('2024-01-31T16:30:00Z');
+  const first = await nextOrderNumber(evening);
+  assert.deepEqual([first.orderNo, first.businessDate], [1, '2024-01-31']);
+  assert.equal((await nextOrderNumber(evening)).orderNo, 2);
+  assert.notEqual((await nextOrderNumber(evening)).orderId, first.orderId);
+
+  // ผ่านเที่ยงคืนเวลาไทย: counter ของวันใหม่
+  const next = await nextOrderNumber(new Date('2024-01-31T17:00:00Z'));
+  assert.deepEqual([next.orderNo, next.businessDate], [1, '2024-02-01']);
+  assert.equal(await nextBillNumber(evening), '2401310001');
+  assert.deepEqual([...counters.keys()], ['order:2024-01-31', 'order:2024-02-01', 'bill:2024-01-31']);
+});
+
+test('the first two numbers of a day racing on the counter upsert both get a number', async (t) => {
+  let seq = 0;
+  let raced = false;
+  const inc = t.mock.method(Counter, 'findOneAndUpdate', async () => {
+    // อีกคำขอ upsert counter ของวันไปก่อน: ตัวนี้ได้ duplicate key แล้วลองใหม่
+    if (!raced) {
+      raced = true;
+      seq++;
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return { seq: ++seq };
+  });
+  assert.equal((await nextOrderNumber()).orderNo, 2);
+  assert.equal(inc.mock.callCount(), 2);
+
+  t.mock.method(Counter, 'findOneAndUpdate', async () => { throw Object.assign(new Error('not primary'), { code: 10107 }); });
+  await assert.rejects(nextBillNumber(), /not primary/);
+});
@@ -0,0 +1,13 @@
+// test/order-status-test.js - order status derived from its items (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deriveOrderStatus } from '../services/orderStatus.js';
+
+test('order status follows its slowest item', () => {
+  assert.equal(deriveOrderStatus([{ status: 'NEW' }, { status: 'NEW' }]), 'NEW');
+  assert.equal(deriveOrderStatus([{ status: 'READY' }, { status: 'NEW' }]), 'PREPARING');
+  assert.equal(deriveOrderStatus([{ status: 'SERVED' }, { status: 'READY' }, { status: 'CANCELLED' }]), 'READY');
+  assert.equal(deriveOrderStatus([{ status: 'SERVED' }, { status: 'CANCELLED' }]), 'SERVED');
+  assert.equal(deriveOrderStatus([{ status: 'CANCELLED' }]), 'CANCELLED');
+});
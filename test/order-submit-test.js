@@ -0,0 +1,77 @@
+// test/order-submit-test.js - duplicate order submissions and kitchen tickets (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Order, PrintJob } from '../models/schemas.js';
+import { findDuplicateOrder, ensureKitchenTickets } from '../services/orderSubmit.js';
+
+// Order/PrintJob ในหน่วยความจำ: findOne ตาม sessionId + key, updateOne ตาม _id (+ ticketsQueued)
+function fakeOrders(t, docs, jobs = []) {
+  t.mock.method(PrintJob, 'distinct', async (field, { orderId, kind }) =>
+    [...new Set(jobs.filter(j => j.orderId === orderId && j.kind === kind).map(j => j[field]))]);
+  t.mock.method(Order, 'findOne', async ({ sessionId, idempotencyKey }) =>
+    docs.find(d => d.sessionId === sessionId && d.idempotencyKey === idempotencyKey) || null);
+  t.mock.method(Order, 'updateOne', async (filter, { $set }) => {
+    const doc = docs.find(d => d._id === filter._id && (!('ticketsQueued' in filter) || d.ticketsQueued === filter.ticketsQueued));
+    if (doc) Object.assign(doc, $set);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+}
+
+test('a duplicate submission returns the saved order without printing it again', async (t) => {
+  const saved = { _id: 'o1', sessionId: 's1', idempotencyKey: 'k1', ticketsQueued: false };
+  fakeOrders(t, [saved]);
+  const queued = [];
+  const queue = async (order) => { queued.push(order._id); };
+
+  assert.equal(await ensureKitchenTickets(saved, queue), true);
+  assert.equal(await findDuplicateOrder('s1', 'k1', queue), saved);
+  assert.equal(await findDuplicateOrder('s1', 'k2', queue), null);
+  assert.equal(await findDuplicateOrder('s1', '', queue), null);
+  assert.deepEqual(queued, ['o1']);
+});
+
+test('kitchen tickets that failed to queue are sent when the order is resubmitted', async (t) => {
+  const saved = { _id: 'o1', sessionId: 's1', idempotencyKey: 'k1', ticketsQueued: false };
+  fakeOrders(t, [saved]);
+  const queued = [];
+
+  await assert.rejects(ensureKitchenTickets(saved, async () => { throw new Error('queue down'); }), /queue down/);
+  assert.equal(saved.ticketsQueued, false);
+
+  const queue = async (order) => { queued.push(order._id); };
+  assert.equal(await findDuplicateOrder('s1', 'k1', queue), saved);
+  assert.equal(saved.ticketsQueued, true);
+  await findDuplicateOrder('s1', 'k1', queue);
+  assert.deepEqual(queued, ['o1']);
+});
+
+test('a resubmit after a partial enqueue only queues the stations that are missing', async (t) => {
+  const saved = { _id: 'o1', orderId: 'u1', sessionId: 's1', idempotencyKey: 'k1', ticketsQueued: false };
+  const jobs = [];
+  fakeOrders(t, [saved], jobs);
+  // ใบครัวสองสถานี เหมือน queueKitchenTickets: ทีละเครื่อง ข้ามเครื่องใน skip
+  let down = 'บาร์';
+  const queue = async (order, { skip }) => {
+    for (const printer of ['ครัว', 'บาร์']) {
+      if (skip.includes(printer)) continue;
+      if (printer === down) throw new Error(`${printer} queue down`);
+      jobs.push({ orderId: order.orderId, printer, kind: 'KITCHEN' });
+    }
+  };
+
+  await assert.rejects(ensureKitchenTickets(saved, queue), /บาร์ queue down/);
+  assert.deepEqual(jobs.map(j => j.printer), ['ครัว']);
+
+  down = null;
+  assert.equal(await findDuplicateOrder('s1', 'k1', queue), saved);
+  assert.deepEqual(jobs.map(j => j.printer), ['ครัว', 'บาร์']);
+});
+
+test('orders saved before the ticket flag existed are not printed again', async (t) => {
+  const legacy = { _id: 'o0', sessionId: 's1', idempotencyKey: 'k0' };
+  fakeOrders(t, [legacy]);
+  let calls = 0;
+  assert.equal(await findDuplicateOrder('s1', 'k0', async () => { calls++; }), legacy);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,84 @@
+// test/payments-test.js - split bills and payments (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeBill, buildReceiptLines } from '../services/billing.js';
+import { twoColumns } from '../services/escposPrinter.js';
+import { splitBill, billBalance, planPayment, planRefund, tableState, isSettled } from '../services/payments.js';
+
+test('bills split to the satang and close only when the balance reaches zero', () => {
+  const bill = {
+    total: 100,
+    subtotal: 90,
+    lines: [{ name: 'หมูสไลซ์', qty: 3, unitPrice: 20, amount: 60 }, { name: 'โค้ก', qty: 2, unitPrice: 15, amount: 30 }],
+    splits: [],
+  };
+
+  const even = splitBill(bill, { mode: 'EVEN', parts: 3 }).splits;
+  assert.deepEqual(even.map(s => s.amount), [33.34, 33.33, 33.33]);
+  assert.equal(splitBill(bill, { mode: 'EVEN', parts: 1 }).error, 'จำนวนคนต้องอยู่ระหว่าง 2-50');
+
+  // ส่วนแรก: หมู 2 ที่ (40 จาก 90) ได้ค่าบริการ/VAT ตามสัดส่วน ที่เหลือรวมเป็นอีกส่วน
+  const byItems = splitBill(bill, { mode: 'ITEMS', items: [[{ line: 0, qty: 2 }]] }).splits;
+  assert.deepEqual(byItems.map(s => [s.label, s.amount]), [['ส่วนที่ 1', 44.45], ['ส่วนที่เหลือ', 55.55]]);
+  assert.deepEqual(byItems[1].items.map(i => `${i.name} x${i.qty}`), ['หมูสไลซ์ x1', 'โค้ก x2']);
+  assert.match(splitBill(bill, { mode: 'ITEMS', items: [[{ line: 0, qty: 4 }]] }).error, /เหลือให้แยกได้ 3/);
+
+  assert.deepEqual(splitBill(bill, { mode: 'AMOUNTS', amounts: [60] }).splits.map(s => s.amount), [60, 40]);
+  assert.equal(splitBill(bill, { mode: 'AMOUNTS', amounts: [60, 50] }).error, 'ยอดที่แยกรวมกันเกินยอดบิล');
+  assert.deepEqual(splitBill(bill, { mode: 'NONE' }), { splits: [] });
+
+  // เงินสดคิดเงินทอน, บัตร/พร้อมเพย์รับเท่ายอด, รับเกินยอดค้างไม่ได้
+  const split = { ...bill, splits: even };
+  const cash = planPayment(split, [], { method: 'CASH', split: 0, tendered: 50 }).payment;
+  assert.deepEqual([cash.amount, cash.tendered, cash.change, cash.split], [33.34, 50, 16.66, 0]);
+  assert.equal(planPayment(split, [], { method: 'CASH', split: 0, tendered: 20 }).error, 'รับเงินมาไม่พอ');
+  assert.match(planPayment(split, [], { method: 'CARD', amount: 120 }).error, /เกินยอดค้าง/);
+  assert.equal(planPayment(split, [], { method: 'CHEQUE' }).error, 'กรุณาเลือกช่องทางชำระเงิน');
+
+  const payments = [
+    { kind: 'PAYMENT', method: 'CASH', amount: 33.34, split: 0 },
+    { kind: 'PAYMENT', method: 'PROMPTPAY', amount: 33.33, split: 1 },
+  ];
+  assert.equal(planPayment(split, payments, { method: 'CARD', split: 0 }).error, 'คนที่ 1 ชำระครบแล้ว');
+  const card = planPayment(split, payments, { method: 'CARD', split: 2, tendered: 500 }).payment;
+  assert.deepEqual([card.amount, card.tendered, card.change], [33.33, 33.33, 0]);
+
+  const paidUp = [...payments, { kind: 'PAYMENT', method: 'CARD', amount: 33.33, split: 2 }];
+  assert.deepEqual([billBalance(split, paidUp).paid, billBalance(split, paidUp).balance], [100, 0]);
+  assert.equal(planPayment(split, paidUp, { method: 'CASH' }).error, 'บิลนี้ชำระครบแล้ว');
+
+  // คืนเงินต้องมีเหตุผล และยอดค้างกลับมาตามที่คืน
+  assert.equal(planRefund(split, paidUp, { method: 'CASH', amount: 10 }).error, 'กรุณาระบุเหตุผลที่คืนเงิน');
+  assert.match(planRefund(split, paidUp, { method: 'CASH', amount: 101, reason: 'x' }).error, /ไม่เกินยอดที่รับไว้/);
+  const refund = planRefund(split, paidUp, { method: 'CASH', amount: 10, reason: ' ทอนผิด ' }).refund;
+  assert.equal(refund.reason, 'ทอนผิด');
+  assert.equal(billBalance(split, [...paidUp, { kind: 'REFUND', ...refund }]).balance, 10);
+
+  assert.equal(tableState({ status: 'OPEN', billId: null }), 'OPEN');
+  assert.equal(tableState({ status: 'OPEN', billId: 'b1' }), 'BILLED');
+  assert.equal(tableState({ status: 'CLOSED', billId: 'b1' }), 'PAID');
+  assert.equal(tableState({ status: 'CLOSED', billId: null, mergedInto: 's2' }), 'MERGED');
+
+  const receipt = buildReceiptLines({ ...split, table: '5', billNo: '000124', serviceChargeRate: 0, taxRate: 0 }, {
+    width: 32,
+    payments: [{ kind: 'PAYMENT', method: 'CASH', amount: 33.34, tendered: 50, change: 16.66 }, { kind: 'REFUND', method: 'CASH', amount: 10 }],
+  });
+  assert.equal(receipt[0].text, 'ใบเสร็จรับเงิน');
+  assert.ok(receipt.includes(twoColumns('เงินสด', '50.00', 32)));
+  assert.ok(receipt.includes(twoColumns('  เงินทอน', '16.66', 32)));
+  assert.ok(receipt.includes(twoColumns('คืนเงิน เงินสด', '-10.00', 32)));
+  assert.equal(buildReceiptLines({ ...bill, table: '5', billNo: '1' })[0].text, 'ใบแจ้งยอด');
+});
+
+test('zero-total bills are settled without a payment', () => {
+  const voided = computeBill([{ items: [{ name: 'หมู', qty: 2, price: 80, status: 'CANCELLED' }] }]);
+  assert.equal(voided.total, 0);
+  assert.ok(isSettled(voided));
+
+  const bill = { total: 100, splits: [] };
+  assert.ok(!isSettled(bill));
+  assert.ok(!isSettled(bill, [{ kind: 'PAYMENT', amount: 60 }]));
+  assert.ok(isSettled(bill, [{ kind: 'PAYMENT', amount: 100 }]));
+  assert.ok(!isSettled(bill, [{ kind: 'PAYMENT', amount: 100 }, { kind: 'REFUND', amount: 10 }]));
+});
@@ -0,0 +1,70 @@
+// test/print-queue-test.js - print job retries, backoff and per-printer print times (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+import { Order } from '../models/schemas.js';
+import { PrintQueue, backoffDelay } from '../services/printQueue.js';
+
+// PrintJob ที่ worker claim มาแล้ว (attempts นับรอบนี้แล้ว)
+const fakeJob = (fields) => ({
+  _id: 'j1', orderId: '', printer: 'ครัว', title: 'ORDER #001', lines: ['โต๊ะ 5'], state: 'sending', maxAttempts: 3,
+  ...fields,
+  async save() {},
+});
+
+test('retries back off exponentially from the base delay up to five minutes', () => {
+  assert.equal(backoffDelay(1), 5000);
+  assert.equal(backoffDelay(2), 10000);
+  assert.equal(backoffDelay(3), 20000);
+  assert.equal(backoffDelay(7), 5 * 60 * 1000);
+  assert.equal(backoffDelay(0), 5000);
+});
+
+test('failed sends are requeued with backoff, then fail after max attempts', async () => {
+  const queue = new PrintQueue();
+  queue.resolvePrinter = async () => null;
+
+  const job = fakeJob({ attempts: 2 });
+  const before = Date.now();
+  await queue.process(job);
+  assert.equal(job.state, 'queued');
+  assert.match(job.lastError, /not configured/);
+  assert.ok(job.nextAttemptAt.getTime() >= before + backoffDelay(2));
+  assert.ok(job.nextAttemptAt.getTime() <= Date.now() + backoffDelay(2));
+
+  job.attempts = 3;
+  await queue.process(job);
+  assert.equal(job.state, 'failed');
+});
+
+test('printed orders keep one print time per printer', async (t) => {
+  const order = { orderId: 'o1', prints: [] };
+  // $set ตำแหน่งที่ตรง prints.printer หรือ $push ถ้ายังไม่มี
+  t.mock.method(Order, 'updateOne', async (filter, update) => {
+    if (filter.orderId !== order.orderId) return { matchedCount: 0 };
+    if (update.$push) {
+      order.prints.push(update.$push.prints);
+      return { matchedCount: 1 };
+    }
+    const entry = order.prints.find(p => p.printer === filter['prints.printer']);
+    if (entry) entry.printedAt = update.$set['prints.$.printedAt'];
+    return { matchedCount: entry ? 1 : 0 };
+  });
+
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shabu-queue-test-'));
+  try {
+    const queue = new PrintQueue();
+    queue.resolvePrinter = async (name) => ({ driver: 'file', label: name, outputDir });
+    const jobs = [fakeJob({ orderId: 'o1', attempts: 1 }), fakeJob({ orderId: 'o1', printer: 'บาร์', attempts: 1 }), fakeJob({ orderId: 'o1', attempts: 1 })];
+    for (const job of jobs) await queue.process(job);
+
+    assert.deepEqual(jobs.map(j => j.state), ['done', 'done', 'done']);
+    assert.deepEqual(order.prints.map(p => p.printer), ['ครัว', 'บาร์']);
+    assert.equal(order.prints[0].printedAt, jobs[2].completedAt);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+// test/printer-test.js - printer service tests (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import iconv from 'iconv-lite';
+
+import {
+  printTicket,
+  printEpson,
+  printXprinterThaiCP874,
+  renderTicket,
+  registerDriver,
+  getDriver,
+  listDrivers,
+  textWidth,
+  twoColumns,
+} from '../services/escposPrinter.js';
+
+const job = { title: 'ORDER #123456', lines: ['โต๊ะ 5', 'x2  เนื้อออสเตรเลีย', 'x1  กุ้งสด'] };
+
+// รับ byte stream จาก printTicket แทนเครื่องพิมพ์จริง
+function startFakePrinter() {
+  return new Promise((resolve) => {
+    const received = [];
+    const server = net.createServer((socket) => {
+      const chunks = [];
+      socket.on('data', (c) => chunks.push(c));
+      socket.on('end', () => received.push(Buffer.concat(chunks)));
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+test('built-in drivers are registered', () => {
+  assert.deepEqual(listDrivers().sort(), ['epson', 'file', 'xprinter']);
+  assert.throws(() => getDriver('nope'), /Unknown printer driver/);
+});
+
+test('renderTicket encodes Thai as CP874 with init, code page and cut', () => {
+  const buf = renderTicket(job, { codePage: 26 });
+  assert.deepEqual([...buf.subarray(0, 5)], [0x1b, 0x40, 0x1b, 0x74, 26]);
+  assert.ok(buf.includes(iconv.encode('เนื้อออสเตรเลีย', 'cp874')));
+  assert.deepEqual([...buf.subarray(-4)], [0x1d, 0x56, 0x42, 0x00]);
+});
+
+test('epson and xprinter drivers select different code pages', () => {
+  const e = getDriver('epson').render(job);
+  const x = getDriver('xprinter').render(job);
+  assert.equal(e[4], 26);
+  assert.equal(x[4], 30);
+});
+
+test('printEpson sends the ticket over TCP', async () => {
+  const { server, port, received } = await startFakePrinter();
+  try {
+    const result = await printEpson({ host: '127.0.0.1', port, ...job });
+    await new Promise((r) => setTimeout(r, 50));
+    assert.equal(received.length, 1);
+    assert.equal(result.bytes, received[0].length);
+    assert.ok(received[0].equals(getDriver('epson').render(job)));
+  } finally {
+    server.close();
+  }
+});
+
+test('printXprinterThaiCP874 fails cleanly when the printer is offline', async () => {
+  const { server, port } = await startFakePrinter();
+  await new Promise((r) => server.close(r));
+  await assert.rejects(printXprinterThaiCP874({ host: '127.0.0.1', port, timeoutMs: 1000, ...job }), /Printer 127\.0\.0\.1/);
+});
+
+test('file driver writes the same bytes to disk', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shabu-print-test-'));
+  try {
+    const result = await printTicket({ driver: 'file', emulate: 'xprinter', outputDir, ...job });
+    assert.equal(path.dirname(result.file), outputDir);
+    const written = await fs.readFile(result.file);
+    assert.ok(written.equals(getDriver('xprinter').render(job)));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('custom drivers can be registered', async () => {
+  const sent = [];
+  registerDriver({ name: 'memory', render: (j) => Buffer.from(j.title), send: async (b) => { sent.push(b); return { bytes: b.length }; } });
+  await printTicket({ driver: 'memory', ...job });
+  assert.equal(sent[0].toString(), job.title);
+  assert.throws(() => registerDriver({ name: 'broken' }), /render\(\) and send\(\)/);
+});
+
+test('column helpers ignore Thai combining marks', () => {
+  assert.equal(textWidth('เนื้อ'), 3);
+  assert.equal(textWidth(twoColumns('น้ำ', '10.00', 20)), 20);
+});
@@ -0,0 +1,29 @@
+// test/qr-sheet-test.js - printable sheet of table QR codes (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseTableList, sheetEntries, buildQrSheet, QR_SIZES } from '../services/qrSheet.js';
+
+test('table lists come from a comma list or a numbered range', () => {
+  assert.deepEqual(parseTableList({ tables: '1, 2,VIP,2' }), { tables: ['1', '2', 'VIP'] });
+  assert.deepEqual(parseTableList({ from: '3', to: '5', prefix: 'A' }), { tables: ['A3', 'A4', 'A5'] });
+  assert.equal(parseTableList({ from: '5', to: '3' }).error, 'ช่วงโต๊ะไม่ถูกต้อง');
+  assert.match(parseTableList({ from: '1', to: '500' }).error, /ไม่เกิน 200 โต๊ะ/);
+  assert.match(parseTableList({}).error, /กรุณาระบุโต๊ะ/);
+});
+
+test('the sheet prints a QR only for open tables and lists the rest on screen', async () => {
+  const sessions = [{ _id: 's1', table: '1' }, { _id: 's3', table: '<3>' }];
+  const { entries, skipped } = sheetEntries(['1', '2', '<3>'], sessions, s => `https://shop.example/?t=${s._id}`);
+  assert.deepEqual(entries, [{ table: '1', url: 'https://shop.example/?t=s1' }, { table: '<3>', url: 'https://shop.example/?t=s3' }]);
+  assert.deepEqual(skipped, ['2']);
+
+  const html = await buildQrSheet({ entries, skipped, shopName: 'ร้าน "ชาบู"', sizeMm: QR_SIZES.L });
+  assert.equal(html.match(/<svg/g).length, 2);
+  assert.equal(html.match(/class="card"/g).length, 2);
+  assert.ok(html.includes('โต๊ะ &lt;3&gt;'));
+  assert.ok(html.includes('ร้าน &quot;ชาบู&quot;'));
+  assert.match(html, /class="hint">[^<]*<br>โต๊ะที่ยังไม่เปิด[^:]*: 2<\/p>/);
+  assert.ok(html.includes('width: 80mm'));
+  assert.ok(!html.includes('ยังไม่เปิดโต๊ะ'));
+});
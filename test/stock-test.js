@@ -0,0 +1,28 @@
+// test/stock-test.js - stock counts and the sold-out flag (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MenuItem } from '../models/schemas.js';
+import { parseStockBody, releaseStock } from '../services/stock.js';
+
+test('stock edits flip the sold-out flag unless it is set explicitly', () => {
+  assert.deepEqual(parseStockBody({ stock: '0' }).data, { stock: 0, available: false });
+  assert.deepEqual(parseStockBody({ stock: 12 }).data, { stock: 12, available: true });
+  assert.deepEqual(parseStockBody({ stock: '' }).data, { stock: null });
+  assert.deepEqual(parseStockBody({ stock: 5, available: false }).data, { stock: 5, available: false });
+  assert.deepEqual(parseStockBody({ available: 'true' }).data, { available: true });
+  assert.ok(parseStockBody({ stock: -1 }).error);
+  assert.ok(parseStockBody({ stock: 1.5 }).error);
+});
+
+test('released stock puts sold-out items back on sale in the same update', async (t) => {
+  const updateOne = t.mock.method(MenuItem, 'updateOne', async () => ({ modifiedCount: 1 }));
+  await releaseStock(new Map([['i-beef', 3]]));
+
+  assert.equal(updateOne.mock.callCount(), 1);
+  const [filter, [{ $set }]] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'i-beef', stock: { $ne: null } });
+  assert.deepEqual($set.stock, { $add: ['$stock', 3] });
+  // หมดเพราะสต็อกเป็น 0 -> ขายได้อีก, ปิดขายเองทั้งที่ยังมีของ -> คงเดิม
+  assert.deepEqual($set.available, { $cond: [{ $lte: ['$stock', 0] }, true, '$available'] });
+});
@@ -0,0 +1,84 @@
+// test/table-move-test.js - moving and merging tables (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import iconv from 'iconv-lite';
+
+import { Order, TableSession } from '../models/schemas.js';
+import { checkTableMove, applyTableMove, buildMoveTicket } from '../services/tableMove.js';
+
+// TableSession/Order ในหน่วยความจำ: filter เทียบค่าตรง ๆ ($in สำหรับ _id), update รองรับ $set/$unset/$inc
+const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => v?.$in ? v.$in.includes(doc[k]) : (doc[k] ?? null) === v);
+function applyUpdate(doc, { $set = {}, $unset = {}, $inc = {} }) {
+  Object.assign(doc, $set);
+  for (const k of Object.keys($unset)) delete doc[k];
+  for (const [k, n] of Object.entries($inc)) doc[k] += n;
+}
+function fakeDb(t, sessions, orders, { failOrders } = {}) {
+  t.mock.method(TableSession, 'findOneAndUpdate', async (filter, update) => {
+    const doc = sessions.find(s => matches(s, filter));
+    if (doc) applyUpdate(doc, update);
+    return doc ? { ...doc } : null;
+  });
+  t.mock.method(TableSession, 'updateOne', async (filter, update) => {
+    const doc = sessions.find(s => matches(s, filter));
+    if (doc) applyUpdate(doc, update);
+  });
+  t.mock.method(Order, 'distinct', async (field, filter) => orders.filter(o => matches(o, filter)).map(o => o[field]));
+  t.mock.method(Order, 'updateMany', async (filter, update) => {
+    if (failOrders?.(filter, update)) throw new Error('write failed');
+    for (const o of orders.filter(o => matches(o, filter))) applyUpdate(o, update);
+  });
+}
+
+test('tables move only to a free table and merge only with the same buffet tier', () => {
+  const source = { table: '3', buffetTier: 'Premium' };
+  assert.deepEqual(checkTableMove(source, ' 7 ', null, 'MOVE'), { table: '7' });
+  assert.equal(checkTableMove(source, '3', null, 'MOVE').status, 400);
+  assert.equal(checkTableMove(source, '', null, 'MOVE').status, 400);
+  assert.equal(checkTableMove(source, '7', { table: '7' }, 'MOVE').status, 409);
+
+  assert.equal(checkTableMove(source, '7', null, 'MERGE').status, 404);
+  assert.equal(checkTableMove(source, '7', { table: '7', buffetTier: '' }, 'MERGE').status, 400);
+  assert.deepEqual(checkTableMove(source, '7', { table: '7', buffetTier: 'Premium' }, 'MERGE'), { table: '7' });
+  assert.deepEqual(checkTableMove({ table: '3' }, '7', { table: '7', buffetTier: '' }, 'MERGE'), { table: '7' });
+  assert.equal(checkTableMove({ table: '3', billId: 'b1' }, '7', null, 'MOVE').status, 409);
+
+  const ticket = buildMoveTicket({ kind: 'MERGE', from: '3', to: '7', orderLabels: ['004', '009'], by: 'cashier1', at: new Date('2024-01-01T12:05:00Z') });
+  assert.equal(ticket.title, 'รวมโต๊ะ 3 -> 7');
+  assert.ok(ticket.lines.includes('ออเดอร์: #004, #009'));
+  assert.match(ticket.lines.at(-1), /^19:05 {2}โดย cashier1$/);
+  // ใบแจ้งพิมพ์ผ่าน CP874 ได้ทุกตัวอักษร
+  const text = [ticket.title, ...ticket.lines.map(l => l.text ?? l)].join('\n');
+  assert.equal(iconv.decode(iconv.encode(text, 'cp874'), 'cp874'), text);
+});
+
+test('a merge into a table that was billed meanwhile puts everything back', async (t) => {
+  const source = { _id: 's3', table: '3', status: 'OPEN', partySize: 2, billId: null };
+  const target = { _id: 's7', table: '7', status: 'OPEN', partySize: 4, billId: null };
+  const orders = [{ _id: 'o1', sessionId: 's3', table: '3' }, { _id: 'o2', sessionId: 's7', table: '7' }];
+  const sessions = [{ ...source }, { ...target, billId: 'b1' }];
+  fakeDb(t, sessions, orders);
+
+  const result = await applyTableMove(source, target, 'MERGE', '7');
+  assert.equal(result.status, 409);
+  assert.deepEqual(sessions[0], source);
+  assert.equal(sessions[1].partySize, 4);
+  assert.deepEqual(orders.map(o => [o.sessionId, o.table]), [['s3', '3'], ['s7', '7']]);
+
+  sessions[1].billId = null;
+  const merged = await applyTableMove(source, target, 'MERGE', '7');
+  assert.equal(merged.session.partySize, 6);
+  assert.equal(merged.closed.mergedInto, 's7');
+  assert.deepEqual(orders.map(o => [o.sessionId, o.table]), [['s7', '7'], ['s7', '7']]);
+});
+
+test('a move whose orders fail to follow returns the session to the old table', async (t) => {
+  const source = { _id: 's3', table: '3', status: 'OPEN' };
+  const sessions = [{ ...source }];
+  const orders = [{ _id: 'o1', sessionId: 's3', table: '3' }];
+  fakeDb(t, sessions, orders, { failOrders: (filter, { $set }) => $set.table === '9' });
+
+  await assert.rejects(applyTableMove(source, null, 'MOVE', '9'), /write failed/);
+  assert.equal(sessions[0].table, '3');
+  assert.equal(orders[0].table, '3');
+});
@@ -0,0 +1,29 @@
+// test/table-session-test.js - opening and closing table sessions (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TableSession } from '../models/schemas.js';
+import { checkSessionClose } from '../services/payments.js';
+
+test('a table has at most one open session, closed ones do not block reopening', () => {
+  const index = TableSession.schema.indexes().find(([fields]) => Object.keys(fields).join() === 'table');
+  assert.ok(index, 'missing index on TableSession.table');
+  const [fields, options] = index;
+  assert.deepEqual(fields, { table: 1 });
+  assert.equal(options.unique, true);
+  assert.deepEqual(options.partialFilterExpression, { status: 'OPEN' });
+});
+
+test('a table closes only when nothing is left to bill or pay', () => {
+  assert.deepEqual(checkSessionClose({ hasOpenOrders: false }), { closeBill: false });
+  assert.match(checkSessionClose({ hasOpenOrders: true }).error, /เช็คบิลก่อน/);
+
+  // เช็คบิลแล้วแต่ยังรับเงินไม่ครบ: ปิดโต๊ะไม่ได้ ต้องรับชำระก่อน
+  const bill = { total: 250, splits: [] };
+  const unpaid = checkSessionClose({ hasOpenOrders: false, bill, payments: [{ kind: 'PAYMENT', amount: 200 }] });
+  assert.deepEqual(unpaid, { status: 400, error: 'โต๊ะนี้ยังชำระเงินไม่ครบ' });
+  assert.deepEqual(checkSessionClose({ hasOpenOrders: false, bill, payments: [{ kind: 'PAYMENT', amount: 250 }] }), { closeBill: true });
+
+  // บิลยอด 0 ปิดพร้อมโต๊ะได้เลย
+  assert.deepEqual(checkSessionClose({ hasOpenOrders: false, bill: { total: 0, splits: [] } }), { closeBill: true });
+});
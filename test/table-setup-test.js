@@ -0,0 +1,21 @@
+// test/table-setup-test.js - pot/broth choice and the table setup ticket (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseTableSetup, buildSetupTicket } from '../services/tableSetup.js';
+
+test('table setup checks the pot against the broth list and builds the broth ticket', () => {
+  const settings = { broths: ['น้ำใส', 'ต้มยำ'], setup_items: ['ชุดผักรวม'] };
+  assert.match(parseTableSetup({ pot: 'split', broths: ['น้ำใส'] }, settings).error, /2 อย่าง/);
+  assert.match(parseTableSetup({ pot: 'single', broths: 'หม่าล่า' }, settings).error, /ไม่มีน้ำซุป: หม่าล่า/);
+  assert.ok(parseTableSetup({ pot: 'big' }, settings).error);
+
+  const { setup } = parseTableSetup({ pot: 'split', broths: ['ต้มยำ', 'น้ำใส'] }, settings);
+  assert.deepEqual(setup, { pot: 'split', broths: ['ต้มยำ', 'น้ำใส'], items: ['ชุดผักรวม'] });
+
+  const ticket = buildSetupTicket({ table: '5', partySize: 3, setup });
+  assert.equal(ticket.title, 'จัดโต๊ะ 5');
+  assert.ok(ticket.lines.some(l => l.text === 'หม้อแยก 2 ช่อง: ต้มยำ | น้ำใส'));
+  assert.ok(ticket.lines.includes('  - ชุดผักรวม'));
+  assert.equal(buildSetupTicket({ table: '5', partySize: 3, setup }, { changed: true }).title, 'เปลี่ยนน้ำซุป โต๊ะ 5');
+});
@@ -0,0 +1,53 @@
+// test/table-token-test.js - signed table QR tokens (run: npm test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TableSession } from '../models/schemas.js';
+
+// secret อ่านตอนโหลดโมดูล: โหลดแยก instance ต่อ secret ด้วย query string
+async function loadWithSecret(secret) {
+  process.env.TABLE_TOKEN_SECRET = secret;
+  try {
+    return await import(`../services/tableToken.js?secret=${secret}`);
+  } finally {
+    delete process.env.TABLE_TOKEN_SECRET;
+  }
+}
+
+const { signTableToken, verifyTableToken, resolveTableToken } = await loadWithSecret('secret-a');
+
+test('table tokens reject tampered payloads and signatures', () => {
+  const token = signTableToken({ _id: 's1', table: '5' });
+  const { t: table, s: sessionId } = verifyTableToken(token);
+  assert.deepEqual([table, sessionId], ['5', 's1']);
+
+  const [payload, sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ t: '9', s: 's1', iat: Date.now() })).toString('base64url');
+  assert.equal(verifyTableToken(`${forged}.${sig}`), null);
+  assert.equal(verifyTableToken(`${payload}.${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`), null);
+  assert.equal(verifyTableToken(payload), null);
+  assert.equal(verifyTableToken(undefined), null);
+});
+
+test('table tokens signed with another secret are rejected', async () => {
+  const other = await loadWithSecret('secret-b');
+  const token = other.signTableToken({ _id: 's1', table: '5' });
+  assert.ok(other.verifyTableToken(token));
+  assert.equal(verifyTableToken(token), null);
+  assert.equal((await resolveTableToken(token)).status, 401);
+});
+
+test('tokens of merged sessions follow mergedInto to the open table', async (t) => {
+  const sessions = {
+    s1: { _id: 's1', table: '5', status: 'CLOSED', mergedInto: 's2' },
+    s2: { _id: 's2', table: '7', status: 'CLOSED', mergedInto: 's3' },
+    s3: { _id: 's3', table: '8', status: 'OPEN' },
+    s4: { _id: 's4', table: '9', status: 'CLOSED' },
+  };
+  t.mock.method(TableSession, 'findById', async (id) => sessions[id] || null);
+
+  assert.equal((await resolveTableToken(signTableToken(sessions.s1))).session, sessions.s3);
+  assert.equal((await resolveTableToken(signTableToken(sessions.s3))).session, sessions.s3);
+  assert.equal((await resolveTableToken(signTableToken(sessions.s4))).status, 401);
+  assert.equal((await resolveTableToken('')).status, 401);
+});